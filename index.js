@@ -1,6 +1,8 @@
 import assert from 'assert';
+import crypto from 'crypto';
 import path from 'path';
 import WebhooksApi from '@octokit/webhooks';
+import bodyParser from 'body-parser';
 import createLogger from 'silk-log';
 import express from 'express';
 import github from 'octonode';
@@ -8,13 +10,83 @@ import {promisify} from 'es6-promisify';
 import createBuildKiteClient from 'buildnode';
 import moment from 'moment';
 import axios from 'axios';
+import fs from 'fs-extra';
+
+import {CODEOWNERS_PATHS, missingApprovals, parseCodeowners} from './src/approvals';
+import {contentDisposition, createArtifactProxy, zipEntryPath} from './src/artifacts';
+import {
+  buildkiteStatusContext,
+  createBuildkiteBackend,
+  createGithubActionsBackend,
+  createHttpBackend,
+  createUnknownBackend,
+} from './src/ciBackends';
+import {findErrorLine, htmlLineText, searchLines, splitHtmlLines, stripAnsi} from './src/logText';
+import {createGithubAppAuth} from './src/githubApp';
+import {createMergeQueues} from './src/mergeQueue';
+import {
+  apiRequestDuration,
+  apiRequestErrors,
+  automergeOutcomes,
+  buildTriggerFailures,
+  buildsTriggered,
+  gateDecisions,
+  observeApiRequest,
+  publicRequests,
+  register as metricsRegister,
+  webhookDeadLetters,
+  webhookEvents,
+} from './src/metrics';
+import {createRecorder} from './src/dryRun';
+import {createBuildStreams} from './src/logStreams';
+import {createPathMatcher} from './src/paths';
+import {createRedactor, readSecretsFile} from './src/redaction';
+import {createTokenSigner, parseCookies} from './src/session';
+import {createTeamMembershipChecker} from './src/teamMembership';
+import {openWebhookQueue, readWebhookEvent} from './src/webhookQueue';
+import {html, htmlPage, rawHtml, sendHtmlPage} from './src/html';
+import {renderPublicLogPage} from './src/publicLogPage';
+import {evaluateRequiredChecks} from './src/requiredChecks';
+import {
+  createRepoConfigLoader,
+  defaultRepoConfig,
+  isInvalidRepoConfigError,
+  parsePipelineMap,
+  REPO_CONFIG_PATH,
+  selectPipelines,
+  selectPipelinesForFiles,
+} from './src/repoConfig';
 
 const log = createLogger('index');
 
 const STATUS_CONTEXT = 'ci-gate';
+const MERGE_QUEUE_CONTEXT = 'ci-gate/merge-queue';
+const APPROVALS_CONTEXT = 'ci-gate/approvals';
+const CI_APPROVAL_CONTEXT = 'ci-gate/ci-approval';
+const PROTECTED_PATHS_CONTEXT = 'ci-gate/protected-paths';
+
 const CI_LABEL = 'CI';
 const NOCI_LABEL = 'noCI';
 
+// The compare API lists at most this many changed files
+const GITHUB_COMPARE_MAX_FILES = 300;
+
+// Span of time after a build in which the public log viewer first looks for
+// the next build of its branch, which is widened until the present
+const BUILDKITE_NEXT_BUILD_WINDOW_SECONDS = 60 * 60;
+
+// Number of lines on each page of a public job log
+const JOB_LOG_PAGE_LINES = 1000;
+
+// Limits of public job log searches
+const JOB_LOG_SEARCH_MAX_MATCHES = 1000;
+const JOB_LOG_SEARCH_MAX_CONTEXT = 20;
+
+// Command line flags that run a saved webhook event instead of the server,
+// optionally with a local repo config file
+const DRY_RUN_FLAG = '--dry-run';
+const DRY_RUN_CONFIG_FLAG = '--config';
+
 const envconst = {
   /*
     The buildkite token requires the following scopes:
@@ -36,19 +108,58 @@ const envconst = {
    */
   BUILDKITE_PIPELINE_PUBLIC_LOG_WHITELIST: '', // comma separated, no spaces
 
+  /*
+     Token set in the Buildkite webhook configuration.  The /buildkite webhook
+     endpoint, which reports build progress to Github, is disabled if unset
+   */
+  BUILDKITE_WEBHOOK_TOKEN: '',
+
+  /*
+     Number of seconds between Buildkite polls while streaming updates of an
+     active build to a public log page
+   */
+  PUBLIC_LOG_POLL_SECONDS: 5,
+
+  /*
+     Maximum number of public log pages receiving live updates at once.  Each
+     build is polled once however many pages show it
+   */
+  PUBLIC_LOG_MAX_STREAMS: 200,
+
   /*
      Exposes all logs of whitelisted pipelines if set to true
    */
   BUILDKITE_EXPOSE_ALL_JOB_LOGS: false,
 
+  /*
+     JSON array of regular expressions matching secrets to redact from public
+     logs and commands, in addition to Github tokens, AWS keys and private keys
+   */
+  LOG_REDACT_PATTERNS: '',
+
+  /*
+     File of secret values to redact from public logs and commands, one per
+     line
+   */
+  LOG_REDACT_SECRETS_FILE: '',
+
   /*
      Github OAuth token with access to the relevant github projects with the
      required scopes:
      * repo:status
      * repo_deployment
      * public_repo
+     Unused if GITHUB_APP_ID is set, except by dry runs
+   */
+  GITHUB_TOKEN: '',
+
+  /*
+     Id and PEM encoded private key of a Github App to authenticate as instead
+     of GITHUB_TOKEN.  Newlines of the key may be escaped as `\n`.  The app must
+     be installed on the owners of the relevant github projects
    */
-  GITHUB_TOKEN: null,
+  GITHUB_APP_ID: '',
+  GITHUB_APP_PRIVATE_KEY: '',
 
   /*
      Default http port (used for local dev only normally)
@@ -71,6 +182,49 @@ const envconst = {
    */
   CI_USER_WHITELIST: '', // comma separated, no spaces
 
+  /*
+     List of Github teams, as `org/team-slug`, whose members are automatically
+     granted CI access
+   */
+  CI_TRUSTED_TEAMS: '', // comma separated, no spaces
+
+  /*
+     List of users that are never automatically granted CI access, overriding
+     all other settings
+   */
+  CI_USER_DENYLIST: '', // comma separated, no spaces
+
+  /*
+     Number of seconds to cache Github team memberships
+   */
+  TEAM_MEMBERSHIP_CACHE_SECONDS: 600,
+
+  /*
+     Paths, as gitignore style patterns, that commits pushed to an approved pull
+     request of an untrusted user may modify without requiring a new approval
+   */
+  CI_AUTO_APPROVE_PATHS: '', // comma separated, no spaces
+
+  /*
+     Paths, as gitignore style patterns, that hold CI for any pull request
+     modifying them until one of the protected paths approvers approves the
+     commit.  Use for files that run with build agent secrets, such as
+     `.buildkite/`
+   */
+  PROTECTED_PATHS: '', // comma separated, no spaces
+
+  /*
+     Users, or Github teams as `org/team-slug`, that may approve CI for changes
+     to protected paths.  If empty any user with write access may approve
+   */
+  PROTECTED_PATHS_APPROVERS: '', // comma separated, no spaces
+
+  /*
+     Paths, as gitignore style patterns, that do not need CI.  Pull requests
+     that only modify these paths receive a successful status without a build
+   */
+  CI_SKIP_PATHS: '', // comma separated, no spaces
+
   /*
     If true, allow all CI from all users
    */
@@ -96,6 +250,107 @@ const envconst = {
     Specify the string label (eg, 'automerge')
    */
   AUTOMERGE_LABEL: 'automerge',
+
+  /*
+     JSON object mapping each repo full name to the list of buildkite
+     pipelines to trigger for its pull requests, for example:
+       {"org/repo": [{"pipeline": "repo", "branches": ["master"], "env": {}, "meta_data": {}}]}
+     A repo's .github/ci-gate.yml may override this with a `pipelines` key
+   */
+  BUILDKITE_PIPELINE_MAP: '',
+
+  /*
+     CI systems that pipelines may select with their `backend` key, besides
+     `buildkite` and `github_actions`, as a JSON object keyed by backend name:
+       {"jenkins": {"url": "https://...", "cancel_url": "https://...", "token": "..."}}
+     See createHttpBackend() for the requests ci-gate sends
+   */
+  HTTP_CI_BACKENDS: '',
+
+  /*
+    Minimum number of approving reviews required before automerging
+   */
+  AUTOMERGE_REQUIRED_APPROVALS: 0,
+
+  /*
+    If true, automerge requires an approval from a CODEOWNERS owner of each
+    path touched by the pull request
+   */
+  AUTOMERGE_REQUIRE_CODE_OWNER_APPROVAL: false,
+
+  /*
+    Number of seconds to wait before re-checking the head of a merge queue
+    while Github computes its test merge commit
+   */
+  MERGE_QUEUE_RETRY_SECONDS: 15,
+
+  /*
+    Number of seconds to collect status events of a repo before scanning its
+    open pull requests for automerge, so that a burst of statuses is handled
+    with a single scan
+   */
+  AUTOMERGE_SCAN_DELAY_SECONDS: 10,
+
+  /*
+    Number of seconds to cache each repo's .github/ci-gate.yml
+   */
+  REPO_CONFIG_CACHE_SECONDS: 300,
+
+  /*
+    Directory of the journal that persists received Github webhook events until
+    they are handled.  Must be on storage that survives restarts for events to
+    survive restarts
+   */
+  WEBHOOK_QUEUE_DIR: 'webhook-queue',
+
+  /*
+    Number of times a Github webhook event is attempted before it is moved to
+    the dead letter list
+   */
+  WEBHOOK_MAX_ATTEMPTS: 8,
+
+  /*
+    Number of seconds before the first retry of a failed Github webhook event,
+    doubling with each further retry
+   */
+  WEBHOOK_RETRY_SECONDS: 5,
+
+  /*
+    Number of seconds a handled Github webhook delivery id is remembered, so
+    that redeliveries of the event are ignored
+   */
+  WEBHOOK_DEDUPE_SECONDS: 7 * 24 * 60 * 60,
+
+  /*
+    Bearer token for the /webhooks/dead_letters endpoints, which are disabled
+    if unset
+   */
+  WEBHOOK_ADMIN_TOKEN: '',
+
+  /*
+    Client id and secret of the Github OAuth app that maintainers sign in to
+    the /dashboard with.  The app's callback URL must be
+    <PUBLIC_URL_ROOT>/dashboard/oauth_callback.  The dashboard is disabled if
+    unset
+   */
+  GITHUB_OAUTH_CLIENT_ID: '',
+  GITHUB_OAUTH_CLIENT_SECRET: '',
+
+  /*
+    Secret used to sign dashboard session cookies
+   */
+  DASHBOARD_SESSION_SECRET: '',
+
+  /*
+    Number of seconds a dashboard sign in lasts
+   */
+  DASHBOARD_SESSION_SECONDS: 12 * 60 * 60,
+
+  /*
+    Repos listed on the dashboard.  Defaults to the repos in
+    BUILDKITE_PIPELINE_MAP
+   */
+  DASHBOARD_REPOS: '', // comma separated, no spaces
 };
 
 for (const v in envconst) {
@@ -105,9 +360,211 @@ for (const v in envconst) {
   }
 }
 
-const githubClient = github.client(envconst.GITHUB_TOKEN);
+if (!envconst.GITHUB_TOKEN && !(envconst.GITHUB_APP_ID && envconst.GITHUB_APP_PRIVATE_KEY)) {
+  throw new Error('GITHUB_TOKEN, or GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY, environment variables not defined');
+}
+
+// Records the writes to Github and CI systems in place of making them, when
+// running a webhook event with DRY_RUN_FLAG
+const dryRunRecorder = process.argv[2] === DRY_RUN_FLAG ? createRecorder() : null;
+
+// Returns the axios style transport of requests to `api`
+function apiTransport(api) {
+  return dryRunRecorder ? dryRunRecorder.httpTransport(api, axios) : axios;
+}
+
+// A dry run authenticates with GITHUB_TOKEN, as creating installation tokens
+// of the Github App would be a write
+const githubApp = envconst.GITHUB_APP_ID && !dryRunRecorder ?
+  createGithubAppAuth({
+    appId: envconst.GITHUB_APP_ID,
+    privateKey: envconst.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n'),
+  }) :
+  null;
+
+const githubClient = github.client(githubApp ? null : envconst.GITHUB_TOKEN);
+
+// Record the latency and errors of every request octonode makes
+const githubClientRequest = githubClient.request;
+function sendGithubRequest(options, callback) {
+  const method = options.method || 'GET';
+  const end = apiRequestDuration.startTimer({api: 'github', method});
+  return githubClientRequest(options, (err, res, body) => {
+    end();
+    if (err || res.statusCode >= 400) {
+      apiRequestErrors.inc({api: 'github', method, status: err ? 'error' : res.statusCode});
+    }
+    if (githubApp && !err && res.statusCode === 401) {
+      githubApp.forgetToken(options.uri);
+    }
+    callback(err, res, body);
+  });
+}
+
+function sendAuthenticatedGithubRequest(options, callback) {
+  if (!githubApp) {
+    return sendGithubRequest(options, callback);
+  }
+  // Authenticate as the app installation on the owner of the requested resource
+  githubApp.authorization(options.uri).then(
+    authorization => {
+      sendGithubRequest(
+        Object.assign({}, options, {headers: Object.assign({}, options.headers, {Authorization: authorization})}),
+        callback
+      );
+    },
+    callback
+  );
+}
+// In a dry run, writes are recorded in place of being sent
+githubClient.request = dryRunRecorder ?
+  dryRunRecorder.githubTransport(sendAuthenticatedGithubRequest) :
+  sendAuthenticatedGithubRequest;
+
+const pipelineMap = parsePipelineMap(envconst.BUILDKITE_PIPELINE_MAP);
+
+const getRepoConfig = createRepoConfigLoader(
+  githubClient,
+  repoName => defaultRepoConfig(envconst, {CI_LABEL, NOCI_LABEL}, pipelineMap, repoName),
+  Number(envconst.REPO_CONFIG_CACHE_SECONDS)
+);
+
+// Resolve the config of a pull request's base branch.  A pull request is not
+// gated while the repo config file is invalid, instead its ci-gate status is
+// set to an error naming the problem and null is returned
+async function getPullRequestConfig(repoName, baseBranch, headSha) {
+  try {
+    return await getRepoConfig(repoName, baseBranch);
+  } catch (err) {
+    if (!isInvalidRepoConfigError(err)) {
+      throw err;
+    }
+    log.error(err.message);
+    await githubClient.repo(repoName).statusAsync(headSha, {
+      state: 'error',
+      context: STATUS_CONTEXT,
+      description: err.message.substring(0, 140),
+    });
+    return null;
+  }
+}
+
+// Issue a request against Github API endpoints that octonode does not wrap
+function githubRequestAsync(method, apiPath, content) {
+  return new Promise((resolve, reject) => {
+    const callback = (err, status, body) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(body);
+    };
+    if (method === 'get') {
+      githubClient.get(apiPath, content || {}, callback);
+    } else {
+      githubClient[method](apiPath, content, callback);
+    }
+  });
+}
+
+const buildkiteTransport = apiTransport('buildkite');
+
+function buildkiteRequestAsync(method, apiPath, options = {}) {
+  return observeApiRequest('buildkite', method.toUpperCase(), () => buildkiteTransport(Object.assign({
+    method,
+    url: `https://api.buildkite.com/v2/organizations/${envconst.BUILDKITE_ORG_SLUG}${apiPath}`,
+    headers: {
+      'Authorization': `Bearer ${envconst.BUILDKITE_TOKEN}`,
+    },
+  }, options)));
+}
+
+// Promisify a buildnode client method, recording its latency and errors.  The
+// buildnode methods used by ci-gate are all reads
+function promisifyBuildkite(method) {
+  const methodAsync = promisify(method);
+  return function (...args) {
+    return observeApiRequest('buildkite', 'GET', () => methodAsync.apply(this, args));
+  };
+}
+
+const artifactProxy = createArtifactProxy(buildkiteRequestAsync);
+
+const redactor = createRedactor({
+  patterns: JSON.parse(envconst.LOG_REDACT_PATTERNS || '[]'),
+  secrets: envconst.LOG_REDACT_SECRETS_FILE ? readSecretsFile(envconst.LOG_REDACT_SECRETS_FILE) : [],
+});
+
+const ciBackends = {
+  buildkite: createBuildkiteBackend(buildkiteRequestAsync, buildkitePublicLogUrl),
+  github_actions: createGithubActionsBackend(githubRequestAsync),
+};
+for (const [name, options] of Object.entries(JSON.parse(envconst.HTTP_CI_BACKENDS || '{}'))) {
+  ciBackends[name] = createHttpBackend(name, {
+    url: options.url,
+    cancelUrl: options.cancel_url || null,
+    token: options.token || null,
+    request: apiTransport(name),
+  });
+}
+
+function ciBackend(spec) {
+  return ciBackends[spec.backend] || createUnknownBackend(spec.backend);
+}
+
+// Returns the commit status that reports the builds of a pipeline
+function pipelineStatusContext(spec) {
+  return ciBackend(spec).statusContext(spec);
+}
+
+// Fetch all check runs of a commit, which Github lists in pages within an
+// object rather than as an array
+async function commitCheckRuns(repoName, sha) {
+  const perPage = 100;
+  let checkRuns = [];
+  for (let page = 1; ; ++page) {
+    const {check_runs} = await githubRequestAsync(
+      'get',
+      `/repos/${repoName}/commits/${sha}/check-runs`,
+      {page, per_page: perPage}
+    );
+    checkRuns = checkRuns.concat(check_runs);
+    if (check_runs.length < perPage) {
+      return checkRuns;
+    }
+  }
+}
+
+// Fetch all pages of a Github API list endpoint
+async function githubListAsync(apiPath, query = {}) {
+  const perPage = 100;
+  let items = [];
+  for (let page = 1; ; ++page) {
+    const pageItems = await githubRequestAsync(
+      'get',
+      apiPath,
+      Object.assign({}, query, {page, per_page: perPage})
+    );
+    items = items.concat(pageItems);
+    if (pageItems.length < perPage) {
+      return items;
+    }
+  }
+}
+
+async function pullRequestFiles(repoName, prNumber) {
+  const files = await githubListAsync(`/repos/${repoName}/pulls/${prNumber}/files`);
+  return files.map(f => f.filename);
+}
+
+const isTeamMember = createTeamMembershipChecker(
+  apiPath => githubRequestAsync('get', apiPath),
+  Number(envconst.TEAM_MEMBERSHIP_CACHE_SECONDS)
+);
 
-const needsCiLabelDescription = `A project member must add the '${CI_LABEL}' label for tests to start`;
+function needsCiLabelDescription(config) {
+  return `A project member must add the '${config.ciLabel}' label for tests to start`;
+}
 
 let buildkiteClient = null;
 let buildkiteOrg = null;
@@ -119,9 +576,9 @@ async function getBuildkitePipeline(pipeline) {
     buildkiteClient = createBuildKiteClient({
       accessToken: envconst.BUILDKITE_TOKEN
     });
-    buildkiteClient.getOrganizationAsync = promisify(buildkiteClient.getOrganization);
+    buildkiteClient.getOrganizationAsync = promisifyBuildkite(buildkiteClient.getOrganization);
     buildkiteOrg = await buildkiteClient.getOrganizationAsync(envconst.BUILDKITE_ORG_SLUG);
-    buildkiteOrg.getPipelineAsync = promisify(buildkiteOrg.getPipeline);
+    buildkiteOrg.getPipelineAsync = promisifyBuildkite(buildkiteOrg.getPipeline);
   }
 
   try {
@@ -136,184 +593,504 @@ async function getBuildkitePipeline(pipeline) {
   return pipeline;
 }
 
-async function triggerPipeline(pipelineName, repoName, baseBranch, prNumber, commit, label, title, user) {
-  if (pipelineName != 'solana') {
-    log.info('only support solana pipeline');
-    return;
-  }
+function pipelineSpecForLabel(repoName, label) {
+  return {
+    pipeline: path.basename(repoName) + '-' + label,
+    backend: 'buildkite',
+    workflow: null,
+    eventType: null,
+    statusContext: null,
+    branches: null,
+    label,
+    paths: null,
+    env: {},
+    metaData: {},
+    cancelSuperseded: true,
+  };
+}
 
+// Create a build of `commit` for each pipeline with its CI backend, setting a
+// pending status for each on the commit.  Pipelines whose status on the commit
+// is pending or successful are skipped unless `rebuild` is set.  Returns the
+// builds created, as {spec, id, commit}, and the pipelines that failed to
+// create a build
+async function createBuilds(pipelines, repoName, {branch, commit, message, metaData, env, baseBranch, rebuild = false}) {
   const repo = githubClient.repo(repoName);
-  const branch = `pull/${prNumber}/head`;
-
-  const message = `PR#${prNumber} - ${commit.substring(0, 8)} - ${title} - ${user}`;
-
-  log.info(`Triggering pull request: ${repoName}:${branch} at ${commit}`);
-
-  const pr = repo.pr(prNumber);
-  const prFiles = await pr.filesAsync();
-  const prFilenames = prFiles[0].map(f => f.filename);
-  const affected_files = prFilenames.join(':');
-  log.info(`files affected by this PR: ${affected_files}`);
-
-  let data = {
-    'branch': branch,
-    'commit': commit,
-    'message': message,
-    meta_data: {
-      'affected_files': affected_files,
-      'pr_number': prNumber,
-    },
-    env: {
-      'GITHUB_USER': user,
-    },
-    pull_request_base_branch: baseBranch
-  };
+  const builds = [];
+  const failedPipelines = [];
 
-  axios.post(
-    `https://api.buildkite.com/v2/organizations/${envconst.BUILDKITE_ORG_SLUG}/pipelines/solana/builds`,
-    data,
-    {
-      headers: {
-        'Authorization': `Bearer ${envconst.BUILDKITE_TOKEN}`,
-      },
-    },
-  )
-    .then(function (response) {
-      log.info(response);
-    })
-    .catch(function (error) {
-      log.info(error);
-    });
+  // A retried webhook event must not build the same commit again
+  const [status] = await repo.combinedStatusAsync(commit);
+  const built = status.statuses.filter(s => ['pending', 'success'].includes(s.state)).map(s => s.context);
 
-  let description = `${pipelineName} pipeline not present`;
-  await repo.statusAsync(
-    commit,
-    {
-      state: 'success',
-      context: STATUS_CONTEXT,
-      description,
+  for (const spec of pipelines) {
+    if (!rebuild && built.includes(pipelineStatusContext(spec))) {
+      log.info(`${spec.pipeline} already built ${repoName}@${commit}, not triggering it again`);
+      continue;
     }
-  );
-
-  await prRemoveLabel(repoName, prNumber, label);
-}
-
-async function triggerLabelsOnPipeline(repoName, baseBranch, prNumber, commit, title, user) {
-  const customLabels = envconst.CUSTOM_PR_LABEL_BUILDS.split(',');
-
-  for (let index = 0; index < customLabels.length; ++index) {
-    let label = customLabels[index];
-    if (await prHasLabel(repoName, prNumber, label)) {
-      await triggerPipeline(path.basename(repoName) + '-' + label, repoName,
-        baseBranch, prNumber, commit, label, title, user);
+    log.info(`Triggering ${spec.pipeline} pipeline with ${spec.backend}`);
+    try {
+      const build = await ciBackend(spec).createBuild(spec, {
+        repoName,
+        branch,
+        commit,
+        message,
+        metaData,
+        env,
+        baseBranch,
+      });
+      log.info(`Created ${spec.pipeline} build: ${build.description}`);
+      buildsTriggered.inc({backend: spec.backend, pipeline: spec.pipeline});
+      builds.push({spec, id: build.id, commit});
+
+      await repo.statusAsync(commit, {
+        state: 'pending',
+        context: pipelineStatusContext(spec),
+        description: build.description,
+        target_url: build.url || undefined,
+      });
+    } catch (err) {
+      log.error(`Failed to create ${spec.pipeline} build:`, err.message);
+      buildTriggerFailures.inc({backend: spec.backend, pipeline: spec.pipeline});
+      failedPipelines.push(spec.pipeline);
     }
   }
+  return {builds, failedPipelines};
 }
 
-async function hasNoCILabel(repoName, prNumber, commit) {
-  const repo = githubClient.repo(repoName);
-  if (await prHasLabel(repoName, prNumber, NOCI_LABEL)) {
-    await repo.statusAsync(commit, {
-      'state': 'failure',
-      'context': STATUS_CONTEXT,
-      'description': `Remove ${NOCI_LABEL} label to continue`,
-    });
-    return true;
+async function isProtectedPathsApprover(repoName, login, config) {
+  if (config.protectedPathsApprovers.length === 0) {
+    return userHasWriteAccess(repoName, login);
+  }
+  for (const approver of config.protectedPathsApprovers) {
+    if (approver.includes('/')) {
+      if (await isTeamMember(approver, login)) {
+        return true;
+      }
+    } else if (approver.toLowerCase() === login.toLowerCase()) {
+      return true;
+    }
   }
   return false;
 }
 
 /*
-async function prSetLabel(repoName, prNumber, labelName) {
-  const issue = githubClient.issue(repoName, prNumber);
-  await issue.addLabelsAsync([labelName]);
-}
-*/
-
-async function prHasLabel(repoName, prNumber, labelName) {
-  const issue = githubClient.issue(repoName, prNumber);
-  const [labels] = await issue.labelsAsync();
-  const labelNames = labels.map((label) => label.name.toLowerCase());
-  return labelNames.includes(labelName.toLowerCase());
-}
-
-async function userInCiWhitelist(repoName, prNumber, user) {
-  if (envconst.CI_FOR_EVERYBODY) {
-    log.info(`CI_FOR_EVERYBODY is enabled`);
+   Returns true if a pull request commit modifying `files` may be built.  A
+   commit that modifies protected paths must be approved by a protected paths
+   approver, recorded as a commit status once `approver` qualifies.  Otherwise
+   the `ci-gate` status is left pending naming the protected files.
+ */
+async function protectedPathsApproved(repoName, commit, files, config, approver) {
+  if (config.protectedPaths.length === 0) {
     return true;
   }
-
-  if (envconst.CI_USER_WHITELIST.split(',').includes(user)) {
-    log.info(`${user} is in CI_USER_WHITELIST`);
+  const protectedPath = createPathMatcher(config.protectedPaths);
+  const protectedFiles = files.filter(protectedPath);
+  if (protectedFiles.length === 0) {
     return true;
   }
 
   const repo = githubClient.repo(repoName);
+  if (approver !== null && await isProtectedPathsApprover(repoName, approver, config)) {
+    log.info(`Protected paths of ${repoName}@${commit} approved by ${approver}`);
+    await repo.statusAsync(commit, {
+      state: 'success',
+      context: PROTECTED_PATHS_CONTEXT,
+      description: `Approved by @${approver} for ${commit.substring(0, 8)}`,
+    });
+    return true;
+  }
 
-  try {
-    if (await repo.collaboratorsAsync(user)) {
-      log.info(`${user} is a collaborator`);
-      return true;
-    }
-  } catch (err) {
-    log.info(`${user} is not a collaborator:`, err);
+  const [status] = await repo.combinedStatusAsync(commit);
+  if (status.statuses.some(s => s.context === PROTECTED_PATHS_CONTEXT && s.state === 'success')) {
+    return true;
   }
 
-  try {
-    // If this PR has previously been accepted by somebody adding the CI_LABEL,
-    // then accept future updates to the PR.  This avoids the need to
-    // continually re-add the `CI_LABEL` at the expense of trusting the PR author
-    // more.
-    const statusesResponse = await repo.statusesAsync(`pull/${prNumber}/head`);
-    const statuses = statusesResponse[0];
-
-    const ciGateSuccess = statuses.some(s => {
-      return (s.context === STATUS_CONTEXT) && (s.state === 'success');
-    });
+  const shown = protectedFiles.slice(0, 3).join(', ');
+  const more = protectedFiles.length > 3 ? ` and ${protectedFiles.length - 3} more` : '';
+  log.info(`Holding CI for ${repoName}@${commit}, protected paths changed: ${protectedFiles.join(', ')}`);
+  await repo.statusAsync(commit, {
+    state: 'pending',
+    context: STATUS_CONTEXT,
+    description: `Maintainer approval required for changes to ${shown}${more}`.substring(0, 140),
+  });
+  return false;
+}
 
-    if (ciGateSuccess) {
-      log.info(`${STATUS_CONTEXT} passed for PR ${prNumber}`);
-      return true;
-    }
-  } catch (err) {
-    log.warn(`${STATUS_CONTEXT} status check failed for PR ${prNumber}:`, err);
+// Report pipelines that a commit does not need as successful, so that they
+// still satisfy required status checks
+async function markPipelinesSkipped(repoName, commit, pipelines) {
+  const repo = githubClient.repo(repoName);
+  for (const spec of pipelines) {
+    await repo.statusAsync(commit, {
+      state: 'success',
+      context: pipelineStatusContext(spec),
+      description: 'Skipped, no matching files changed',
+    });
   }
-  return false;
 }
 
-async function handleCommitsPushedToPullRequest(repoName, prNumber) {
+/*
+   Trigger `pipelines` for a pull request commit.  `approver` is the user who
+   explicitly approved this build, such as by adding a label, or null when the
+   build was triggered automatically.
+ */
+async function triggerPipeline(pipelines, repoName, baseBranch, prNumber, commit, label, title, user, config, approver, rebuild = false) {
   const repo = githubClient.repo(repoName);
-  const issue = repo.issue(prNumber);
 
-  if (!await prHasLabel(repoName, prNumber, envconst.AUTOMERGE_LABEL)) {
-    log.debug(`handleCommitsPushedToPullRequest: ${envconst.AUTOMERGE_LABEL} label is not set`);
+  if (pipelines.length === 0) {
+    log.warn(`No pipeline configured for ${repoName} (${baseBranch})`);
+    await repo.statusAsync(commit, {
+      state: 'error',
+      context: STATUS_CONTEXT,
+      description: `No pipeline configured for ${repoName} (${baseBranch})`,
+    });
     return;
   }
 
-  if (await prRemoveLabel(repoName, prNumber, envconst.AUTOMERGE_LABEL)) {
-    const body = ':scream: New commits were pushed while the automerge label was present.';
-    log.info(body);
-    await issue.createCommentAsync({body});
-  }
-}
+  const branch = `pull/${prNumber}/head`;
 
-async function autoMergePullRequest(repoName, prNumber) {
-  if (!envconst.AUTOMERGE) {
+  const message = `PR#${prNumber} - ${commit.substring(0, 8)} - ${title} - ${user}`;
+
+  log.info(`Triggering pull request: ${repoName}:${branch} at ${commit}`);
+
+  const prFilenames = await pullRequestFiles(repoName, prNumber);
+  const affected_files = prFilenames.join(':');
+  log.info(`files affected by this PR: ${affected_files}`);
+
+  if (!await protectedPathsApproved(repoName, commit, prFilenames, config, approver)) {
+    await prRemoveLabel(repoName, prNumber, label);
+    return;
+  }
+
+  // Path rules only apply to regular CI, custom label builds are always run
+  if (label === config.ciLabel) {
+    const selection = selectPipelinesForFiles(config, pipelines, prFilenames);
+    await markPipelinesSkipped(repoName, commit, selection.skipped);
+    if (selection.pipelines.length === 0) {
+      log.info(`CI skipped for ${repoName}@${commit}, ${selection.reason}`);
+      await repo.statusAsync(commit, {
+        state: 'success',
+        context: STATUS_CONTEXT,
+        description: `CI skipped, ${selection.reason}`,
+      });
+      await prRemoveLabel(repoName, prNumber, label);
+      return;
+    }
+    pipelines = selection.pipelines;
+  }
+
+  const {builds, failedPipelines} = await createBuilds(pipelines, repoName, {
+    branch,
+    commit,
+    message,
+    metaData: {
+      'affected_files': affected_files,
+      'pr_number': prNumber,
+    },
+    env: {
+      'GITHUB_USER': user,
+    },
+    baseBranch,
+    rebuild,
+  });
+
+  trackPullRequestBuilds(repoName, prNumber, builds);
+
+  if (failedPipelines.length > 0) {
+    await repo.statusAsync(commit, {
+      state: 'error',
+      context: STATUS_CONTEXT,
+      description: `Failed to create build for ${failedPipelines.join(', ')}`,
+    });
+  } else {
+    await repo.statusAsync(commit, {
+      state: 'success',
+      context: STATUS_CONTEXT,
+      description: `Triggered ${pipelines.map(spec => spec.pipeline).join(', ')}`,
+    });
+  }
+
+  await prRemoveLabel(repoName, prNumber, label);
+}
+
+// Cancel all unfinished builds of `commit` in each pipeline.  Returns the
+// number of builds canceled
+async function cancelBuilds(pipelines, repoName, commit) {
+  let canceled = 0;
+  for (const spec of pipelines) {
+    try {
+      canceled += await ciBackend(spec).cancelBuilds(spec, repoName, commit);
+    } catch (err) {
+      log.warn(`Failed to cancel ${spec.pipeline} builds of ${commit}:`, err.message);
+    }
+  }
+  return canceled;
+}
+
+// Unfinished builds created for each pull request, keyed by `repo#number`.
+// Each is of the form {spec, id, commit}.  These do not survive a restart, so
+// builds created before one are not canceled when superseded
+const pullRequestBuilds = new Map();
+
+function trackPullRequestBuilds(repoName, prNumber, builds) {
+  const prKey = `${repoName}#${prNumber}`;
+  pullRequestBuilds.set(prKey, (pullRequestBuilds.get(prKey) || []).concat(builds));
+}
+
+// Stop tracking the builds for which `isFinished(build)` is true, as finished
+// builds need no canceling
+function untrackFinishedBuilds(isFinished) {
+  for (const [prKey, tracked] of pullRequestBuilds) {
+    const unfinished = tracked.filter(build => !isFinished(build));
+    if (unfinished.length === 0) {
+      pullRequestBuilds.delete(prKey);
+    } else if (unfinished.length < tracked.length) {
+      pullRequestBuilds.set(prKey, unfinished);
+    }
+  }
+}
+
+// Cancel the tracked builds of a pull request for any commit other than
+// `headSha`, except those of pipelines that must always finish.  Pass a null
+// `headSha` once the pull request is closed, to stop tracking all its builds
+async function cancelSupersededBuilds(repoName, prNumber, headSha) {
+  const prKey = `${repoName}#${prNumber}`;
+  const tracked = pullRequestBuilds.get(prKey) || [];
+  const superseded = tracked.filter(build => build.commit !== headSha);
+
+  for (const build of superseded) {
+    if (!build.spec.cancelSuperseded) {
+      continue;
+    }
+    const reason = headSha ? `superseded by ${headSha}` : 'pull request closed';
+    log.info(`Canceling ${build.spec.pipeline} build of ${build.commit} for ${prKey}, ${reason}`);
+    try {
+      await ciBackend(build.spec).cancelBuild(build.spec, repoName, build);
+    } catch (err) {
+      log.warn(`Failed to cancel ${build.spec.pipeline} build of ${build.commit}:`, err.message);
+    }
+  }
+
+  const current = tracked.filter(build => build.commit === headSha);
+  if (current.length > 0) {
+    pullRequestBuilds.set(prKey, current);
+  } else {
+    pullRequestBuilds.delete(prKey);
+  }
+}
+
+async function triggerLabelsOnPipeline(repoName, baseBranch, prNumber, commit, title, user, config, approver) {
+  const customLabels = config.customPrLabelBuilds;
+
+  for (let index = 0; index < customLabels.length; ++index) {
+    let label = customLabels[index];
+    if (await prHasLabel(repoName, prNumber, label)) {
+      // Fall back to the `<repo>-<label>` pipeline naming convention when the
+      // label has no pipelines of its own
+      let pipelines = selectPipelines(config, baseBranch, label);
+      if (pipelines.length === 0) {
+        pipelines = [pipelineSpecForLabel(repoName, label)];
+      }
+      await triggerPipeline(pipelines, repoName, baseBranch, prNumber, commit, label, title, user, config, approver);
+    }
+  }
+}
+
+async function hasNoCILabel(repoName, prNumber, commit, config) {
+  const repo = githubClient.repo(repoName);
+  if (await prHasLabel(repoName, prNumber, config.nociLabel)) {
+    await repo.statusAsync(commit, {
+      'state': 'failure',
+      'context': STATUS_CONTEXT,
+      'description': `Remove ${config.nociLabel} label to continue`,
+    });
+    return true;
+  }
+  return false;
+}
+
+// Comment on a pull request, unless its latest comment already says the same.
+// A retried webhook event then does not repeat the comments it already made
+async function postComment(repoName, prNumber, body) {
+  const comments = await githubListAsync(`/repos/${repoName}/issues/${prNumber}/comments`);
+  const latest = comments[comments.length - 1];
+  if (latest && latest.body === body) {
+    log.info(`${repoName}#${prNumber} already has the comment: ${body}`);
+    return;
+  }
+  await githubClient.issue(repoName, prNumber).createCommentAsync({body});
+}
+
+async function prSetLabel(repoName, prNumber, labelName) {
+  const issue = githubClient.issue(repoName, prNumber);
+  await issue.addLabelsAsync([labelName]);
+}
+
+async function prHasLabel(repoName, prNumber, labelName) {
+  const issue = githubClient.issue(repoName, prNumber);
+  const [labels] = await issue.labelsAsync();
+  const labelNames = labels.map((label) => label.name.toLowerCase());
+  return labelNames.includes(labelName.toLowerCase());
+}
+
+function userInCiDenylist(user, config) {
+  return config.ciUserDenylist.some(denied => denied.toLowerCase() === user.toLowerCase());
+}
+
+async function userInCiWhitelist(repoName, user, config) {
+  if (userInCiDenylist(user, config)) {
+    log.info(`${user} is in the CI user denylist for ${repoName}`);
+    return false;
+  }
+
+  if (config.ciForEverybody) {
+    log.info(`CI for everybody is enabled for ${repoName}`);
+    gateDecisions.inc({reason: 'everybody'});
+    return true;
+  }
+
+  if (config.ciUserWhitelist.includes(user)) {
+    log.info(`${user} is in the CI user whitelist for ${repoName}`);
+    gateDecisions.inc({reason: 'whitelist'});
+    return true;
+  }
+
+  for (const team of config.ciTrustedTeams) {
+    if (await isTeamMember(team, user)) {
+      log.info(`${user} is a member of trusted team ${team}`);
+      gateDecisions.inc({reason: 'team'});
+      return true;
+    }
+  }
+
+  const repo = githubClient.repo(repoName);
+
+  try {
+    if (await repo.collaboratorsAsync(user)) {
+      log.info(`${user} is a collaborator`);
+      gateDecisions.inc({reason: 'collaborator'});
+      return true;
+    }
+  } catch (err) {
+    log.info(`${user} is not a collaborator:`, err);
+  }
+  return false;
+}
+
+// Record an approval of CI for a commit.  Approvals are kept as a commit
+// status, which shows on the pull request who approved which commit
+async function approveCiForCommit(repoName, sha, description) {
+  log.info(`CI approved for ${repoName}@${sha}: ${description}`);
+  await githubClient.repo(repoName).statusAsync(sha, {
+    state: 'success',
+    context: CI_APPROVAL_CONTEXT,
+    description,
+  });
+}
+
+async function commitHasCiApproval(repoName, sha) {
+  const [status] = await githubClient.repo(repoName).combinedStatusAsync(sha);
+  return status.statuses.some(s => s.context === CI_APPROVAL_CONTEXT && s.state === 'success');
+}
+
+/*
+   Returns true if CI is approved for the head commit of a pull request by an
+   untrusted user.  Approval applies to a single commit, so new commits need
+   to be approved again, unless they descend from an approved commit of the
+   pull request and only modify the configured auto approve paths.
+ */
+async function pullRequestCiApproved(repoName, prNumber, headSha, user, config) {
+  if (await commitHasCiApproval(repoName, headSha)) {
+    log.info(`CI is approved for ${repoName}@${headSha}`);
+    gateDecisions.inc({reason: 'approved'});
+    return true;
+  }
+
+  if (config.ciAutoApprovePaths.length === 0 || userInCiDenylist(user, config)) {
+    return false;
+  }
+
+  // Find the newest approved commit of the pull request
+  const commits = await githubListAsync(`/repos/${repoName}/pulls/${prNumber}/commits`);
+  let approvedSha = null;
+  for (const commit of commits.reverse()) {
+    if (commit.sha !== headSha && await commitHasCiApproval(repoName, commit.sha)) {
+      approvedSha = commit.sha;
+      break;
+    }
+  }
+  if (approvedSha === null) {
+    return false;
+  }
+
+  const comparison = await githubRequestAsync(
+    'get',
+    `/repos/${repoName}/compare/${approvedSha}...${headSha}`
+  );
+  if (comparison.status !== 'ahead' || comparison.files.length >= GITHUB_COMPARE_MAX_FILES) {
+    log.info(`Unable to auto approve ${repoName}@${headSha}: ${comparison.status} of ${approvedSha}`);
+    return false;
+  }
+
+  const autoApprovePath = createPathMatcher(config.ciAutoApprovePaths);
+  const disallowed = comparison.files.filter(file => {
+    return !autoApprovePath(file.filename) ||
+      (file.previous_filename !== undefined && !autoApprovePath(file.previous_filename));
+  });
+  if (disallowed.length > 0) {
+    log.info(
+      `Unable to auto approve ${repoName}@${headSha}, it modifies`,
+      disallowed.map(file => file.filename).join(', ')
+    );
+    return false;
+  }
+
+  await approveCiForCommit(
+    repoName,
+    headSha,
+    `Auto approved, only allowed paths changed since ${approvedSha.substring(0, 8)}`
+  );
+  gateDecisions.inc({reason: 'auto_approved'});
+  return true;
+}
+
+async function handleCommitsPushedToPullRequest(repoName, prNumber, config) {
+  if (!await prHasLabel(repoName, prNumber, config.automergeLabel)) {
+    log.debug(`handleCommitsPushedToPullRequest: ${config.automergeLabel} label is not set`);
     return;
   }
+
+  if (await prRemoveLabel(repoName, prNumber, config.automergeLabel)) {
+    const body = ':scream: New commits were pushed while the automerge label was present.';
+    log.info(body);
+    await postComment(repoName, prNumber, body);
+  }
+  await leaveMergeQueue(repoName, prNumber, 'New commits were pushed');
+}
+
+// Merge methods requested with `/automerge <method>`, keyed by `repo#number`.
+// These do not survive a restart, after which the configured method is used
+const automergeMethodOverrides = new Map();
+
+async function autoMergePullRequest(repoName, prNumber) {
   const repo = githubClient.repo(repoName);
   const pr = repo.pr(prNumber);
-  const issue = repo.issue(prNumber);
   const info = await pr.infoAsync();
   assert(typeof info === 'object');
-  const {state, mergeable, head} = info[0];
+  const {state, mergeable, head, base} = info[0];
 
   if (state !== 'open') {
     return;
   }
 
-  if (!await prHasLabel(repoName, prNumber, envconst.AUTOMERGE_LABEL)) {
-    log.debug(`autoMergePullRequest: ${envconst.AUTOMERGE_LABEL} label is not set`);
+  const config = await getPullRequestConfig(repoName, base.ref, head.sha);
+  if (!config || !config.automerge) {
+    return;
+  }
+
+  if (!await prHasLabel(repoName, prNumber, config.automergeLabel)) {
+    log.debug(`autoMergePullRequest: ${config.automergeLabel} label is not set`);
     return;
   }
 
@@ -324,126 +1101,534 @@ async function autoMergePullRequest(repoName, prNumber) {
   }
 
   if (mergeable === false) {
-    if (await prRemoveLabel(repoName, prNumber, envconst.AUTOMERGE_LABEL)) {
+    if (await prRemoveLabel(repoName, prNumber, config.automergeLabel)) {
+      automergeOutcomes.inc({outcome: 'conflict'});
       const body = ':broken_heart: Unable to automerge due to merge conflict';
       log.info(body);
-      await issue.createCommentAsync({body});
+      await postComment(repoName, prNumber, body);
     }
+    await leaveMergeQueue(repoName, prNumber, 'Merge conflict');
     return;
   }
 
-  // Check the CI status of the head SHA
+  const [status] = await repo.combinedStatusAsync(head.sha);
+
+  if (approvalRulesEnabled(config)) {
+    const missing = await pullRequestMissingApprovals(repoName, prNumber, base.ref, config);
+    await updateApprovalsStatus(repoName, head.sha, status.statuses, missing);
+    if (missing.length > 0) {
+      log.info(`Missing approvals for ${repoName}#${prNumber}: ${missing.join(', ')}`);
+      await leaveMergeQueue(repoName, prNumber, 'Missing approvals');
+      return;
+    }
+  }
+
+  // Check the required statuses and check runs of the head SHA
   log.debug(`fetching CI status for head SHA ${head.sha}`);
-  const status = (await repo.combinedStatusAsync(head.sha))[0];
-  log.info(`CI status: ${status.state} with ${status.statuses.length} statuses`);
+  const required = await requiredStatusChecks(repoName, base.ref, config);
+  const checkRuns = await commitCheckRuns(repoName, head.sha);
+  const checks = evaluateRequiredChecks(required, status.statuses, checkRuns);
+  log.info(`CI status: ${checks.state} for required checks: ${required.join(', ')}`);
   log.debug('All statuses:', status.statuses);
 
-  switch (status.state) {
+  switch (checks.state) {
   case 'success':
   {
-    if (status.statuses.length < 2) {
-      log.warn(`Refusing to automerge with no evidence of success`);
-    } else {
-      log.info(`CI status is success, trying to merge...`);
-      const mergeResult = await pr.mergeAsync({
-        sha: head.sha,
-        commit_message: 'automerge',
-        merge_method: envconst.GITHUB_MERGE_METHOD,
-      });
-      log.info(`successfully merged`, mergeResult);
+    if (!mergeQueues.position(repoName, base.ref, prNumber)) {
+      log.info(`CI status is success, adding to the ${base.ref} merge queue`);
+      const position = mergeQueues.enqueue(repoName, base.ref, prNumber, head.sha);
+      const body = `:hourglass: Added to the \`${base.ref}\` merge queue at position ${position}`;
+      await postComment(repoName, prNumber, body);
+      await updateMergeQueuePositions(repoName, base.ref);
     }
     break;
   }
 
   case 'failure':
   {
-    if (await prRemoveLabel(repoName, prNumber, envconst.AUTOMERGE_LABEL)) {
-      const body = ':broken_heart: Unable to automerge due to CI failure';
+    const failed = checks.failed.map(name => `\`${name}\``).join(', ');
+    if (await prRemoveLabel(repoName, prNumber, config.automergeLabel)) {
+      automergeOutcomes.inc({outcome: 'ci_failure'});
+      const body = `:broken_heart: Unable to automerge due to CI failure of required check ${failed}`;
       log.info(body);
-      await issue.createCommentAsync({body});
+      await postComment(repoName, prNumber, body);
     }
+    await leaveMergeQueue(repoName, prNumber, `Required check failed: ${checks.failed.join(', ')}`);
     break;
   }
 
   default:
+  {
+    const waiting = [...checks.pending, ...checks.missing];
+    log.info(`Waiting for required checks: ${waiting.join(', ')}`);
+
+    // Only update the status when it changes, as this runs on every status event
+    const description = `Waiting for ${waiting.join(', ')}`.substring(0, 140);
+    const current = status.statuses.find(s => s.context === MERGE_QUEUE_CONTEXT);
+    if (!mergeQueues.position(repoName, base.ref, prNumber) &&
+        (!current || current.description !== description)) {
+      await repo.statusAsync(head.sha, {
+        state: 'pending',
+        context: MERGE_QUEUE_CONTEXT,
+        description,
+      });
+    }
     break;
   }
+  }
+
+  await processMergeQueue(repoName, base.ref);
 }
 
-async function autoMergePullRequests(repoName) {
-  log.info(`autoMergePullRequests for ${repoName}...`);
+function approvalRulesEnabled(config) {
+  return config.requiredApprovals > 0 ||
+    config.blockOnChangesRequested ||
+    config.requireCodeOwnerApproval;
+}
 
-  const openPrs = await new Promise((resolve, reject) => {
-    const repo = githubClient.repo(repoName);
-    repo.prs((err, pulls) => {
-      if (err) {
-        reject(err);
-        return;
+async function fetchCodeownersRules(repoName, branch) {
+  const repo = githubClient.repo(repoName);
+  for (const codeownersPath of CODEOWNERS_PATHS) {
+    try {
+      const [file] = await repo.contentsAsync(codeownersPath, branch);
+      return parseCodeowners(Buffer.from(file.content, file.encoding).toString('utf8'));
+    } catch (err) {
+      if (err.statusCode !== 404) {
+        throw err;
       }
-      resolve(
-        pulls.filter((pull) => {
-          return pull.state === 'open';
-        })
-      );
-    });
-  });
+    }
+  }
+  log.warn(`No CODEOWNERS file in ${repoName}@${branch}`);
+  return [];
+}
 
-  for (let openPr of openPrs) {
-    log.info(`Processing #${openPr.number} ${openPr.title}`);
-    await autoMergePullRequest(repoName, openPr.number);
+// Returns true if `login` is the CODEOWNERS `owner`, or a member of it if the
+// owner is a team
+function isCodeOwner(login, owner) {
+  const teamMatch = owner.match(/^@([^/]+)\/(.+)$/);
+  if (!teamMatch) {
+    return owner.slice(1).toLowerCase() === login.toLowerCase();
   }
+
+  const [, org, teamSlug] = teamMatch;
+  return isTeamMember(`${org}/${teamSlug}`, login);
 }
 
-function pipelineInPublicLogWhitelist(pipeline) {
-  const wl = envconst.BUILDKITE_PIPELINE_PUBLIC_LOG_WHITELIST;
-  return wl.split(',').includes(pipeline);
+async function pullRequestMissingApprovals(repoName, prNumber, baseBranch, config) {
+  const reviews = await githubListAsync(`/repos/${repoName}/pulls/${prNumber}/reviews`);
+
+  let files = [];
+  let codeownersRules = [];
+  if (config.requireCodeOwnerApproval) {
+    files = await pullRequestFiles(repoName, prNumber);
+    codeownersRules = await fetchCodeownersRules(repoName, baseBranch);
+  }
+
+  return missingApprovals({
+    config,
+    reviews,
+    files,
+    codeownersRules,
+    isOwner: isCodeOwner,
+  });
 }
 
-async function prRemoveLabel(repoName, prNumber, labelName) {
-  log.info(`Removing label ${labelName} from ${repoName}#${prNumber}`);
-  const issue = githubClient.issue(repoName, prNumber);
+async function updateApprovalsStatus(repoName, sha, statuses, missing) {
+  const state = missing.length > 0 ? 'pending' : 'success';
+  const description = (missing.length > 0 ?
+    `Missing ${missing.join('; ')}` :
+    'All required approvals given'
+  ).substring(0, 140);
+
+  const current = statuses.find(s => s.context === APPROVALS_CONTEXT);
+  if (current && current.state === state && current.description === description) {
+    return;
+  }
+  const repo = githubClient.repo(repoName);
+  await repo.statusAsync(sha, {
+    state,
+    context: APPROVALS_CONTEXT,
+    description,
+  });
+}
+
+// Returns the names of the status checks that must pass before a pull request
+// against `branch` may be merged.  These come from the branch protection
+// rules, or if the branch has none, are the ci-gate status and the statuses of
+// the configured pipelines
+async function requiredStatusChecks(repoName, branch, config) {
+  let required = [];
   try {
-    await issue.removeLabelAsync(labelName);
-  } catch (err) {
-    log.warn(
-      `Error removing label ${labelName} from ${repoName}#${prNumber}`,
-      err.message
+    const protection = await githubRequestAsync(
+      'get',
+      `/repos/${repoName}/branches/${encodeURIComponent(branch)}/protection/required_status_checks`
     );
-    return false;
+    required = [
+      ...(protection.contexts || []),
+      ...(protection.checks || []).map(check => check.context),
+    ];
+  } catch (err) {
+    if (![403, 404].includes(err.statusCode)) {
+      throw err;
+    }
+    log.debug(`No required status checks for ${repoName}@${branch}:`, err.message);
   }
-  return true;
+
+  // A branch without required checks must still pass CI before merging
+  if (required.length === 0) {
+    required = [
+      STATUS_CONTEXT,
+      ...selectPipelines(config, branch).map(pipelineStatusContext),
+    ];
+  }
+
+  // Requiring the merge queue's own status would block the queue forever
+  return [...new Set(required)].filter(name => name !== MERGE_QUEUE_CONTEXT);
 }
 
-function isBuildkitePublicLogUrl(url) {
-  if (typeof(url) !== 'string') {
-    return false;
+const mergeQueues = createMergeQueues();
+
+async function updateMergeQueuePositions(repoName, baseBranch) {
+  const repo = githubClient.repo(repoName);
+  const entries = mergeQueues.entries(repoName, baseBranch);
+  for (let index = 0; index < entries.length; ++index) {
+    const entry = entries[index];
+    if (entry.state !== 'queued') {
+      continue;
+    }
+    await repo.statusAsync(entry.headSha, {
+      state: 'pending',
+      context: MERGE_QUEUE_CONTEXT,
+      description: `Position ${index + 1} of ${entries.length} in the ${baseBranch} merge queue`,
+    });
   }
+}
 
-  const orgUrlPrefix = `https://buildkite.com/${envconst.BUILDKITE_ORG_SLUG}/`;
-  if (!url.startsWith(orgUrlPrefix)) {
-    return false;
+// Remove a pull request from its merge queue, canceling any test builds of it.
+// The queue is not advanced, callers must invoke processMergeQueue()
+async function removeFromMergeQueue(repoName, prNumber, reason, state = 'failure') {
+  const entry = mergeQueues.remove(repoName, prNumber);
+  if (!entry) {
+    return null;
   }
+  log.info(`Removed ${repoName}#${prNumber} from the ${entry.baseBranch} merge queue: ${reason}`);
 
-  const buildInfo = url.slice(orgUrlPrefix.length);
-  const reMatch = buildInfo.match(/^([a-z-]+)\/builds\/([1-9[0-9]+|latest\/[a-z]+)$/);
-  if (!reMatch) {
-    return false;
+  if (entry.state === 'testing') {
+    await cancelBuilds(entry.pipelines, repoName, entry.testSha);
   }
-  assert(reMatch.index === 0);
-  assert(reMatch.length === 3);
 
-  const pipeline = reMatch[1];
-  const buildNumber = reMatch[2].startsWith('latest/') ? reMatch[2].substr(7) : Number(reMatch[2]);
-  return {pipeline, buildNumber};
+  const repo = githubClient.repo(repoName);
+  await repo.statusAsync(entry.headSha, {
+    state,
+    context: MERGE_QUEUE_CONTEXT,
+    description: reason,
+  });
+  await updateMergeQueuePositions(repoName, entry.baseBranch);
+  return entry;
 }
 
-function isBuildkitePublicArtifactUrl(url) {
-  if (typeof(url) !== 'string') {
-    return false;
+async function leaveMergeQueue(repoName, prNumber, reason) {
+  const entry = await removeFromMergeQueue(repoName, prNumber, reason);
+  if (entry) {
+    await processMergeQueue(repoName, entry.baseBranch);
   }
+}
 
-  const orgUrlPrefix = `https://api.buildkite.com/v2/organizations/${envconst.BUILDKITE_ORG_SLUG}/pipelines/`;
-  if (!url.startsWith(orgUrlPrefix)) {
+// Drop the queue head, removing its automerge label.  `outcome` classifies
+// the rejection for metrics: 'conflict', 'ci_failure' or 'refused'
+async function rejectMergeQueueHead(repoName, entry, config, reason, outcome = 'refused') {
+  automergeOutcomes.inc({outcome});
+  if (await prRemoveLabel(repoName, entry.prNumber, config.automergeLabel)) {
+    const body = `:broken_heart: Unable to automerge: ${reason}`;
+    log.info(body);
+    await postComment(repoName, entry.prNumber, body);
+  }
+  await removeFromMergeQueue(repoName, entry.prNumber, reason);
+}
+
+function retryMergeQueue(repoName, baseBranch, entry) {
+  if (entry.retryTimer) {
+    return;
+  }
+  entry.retryTimer = setTimeout(() => {
+    entry.retryTimer = null;
+    processMergeQueue(repoName, baseBranch)
+    .catch(err => log.error('processMergeQueue failed with:', err));
+  }, Number(envconst.MERGE_QUEUE_RETRY_SECONDS) * 1000);
+}
+
+// Start testing the merge of the queue head with the latest base branch
+async function testMergeQueueHead(repoName, baseBranch, entry, pr, baseSha, config) {
+  const repo = githubClient.repo(repoName);
+
+  if (pr.mergeable === null || !pr.merge_commit_sha) {
+    log.debug(`mergeable state of ${repoName}#${entry.prNumber} is not yet known`);
+    retryMergeQueue(repoName, baseBranch, entry);
+    return false;
+  }
+  if (pr.mergeable === false) {
+    await rejectMergeQueueHead(repoName, entry, config, `merge conflict with \`${baseBranch}\``, 'conflict');
+    return true;
+  }
+
+  // Github updates the test merge commit asynchronously after the base moves
+  const [mergeCommit] = await repo.commitAsync(pr.merge_commit_sha);
+  if (mergeCommit.parents[0].sha !== baseSha) {
+    log.debug(`test merge commit of ${repoName}#${entry.prNumber} is out of date`);
+    retryMergeQueue(repoName, baseBranch, entry);
+    return false;
+  }
+
+  if (selectPipelines(config, baseBranch).length === 0) {
+    await rejectMergeQueueHead(repoName, entry, config, `no pipeline configured for \`${baseBranch}\``);
+    return true;
+  }
+
+  // A merge queue entry that needs no pipeline is merged without a test build
+  const files = await pullRequestFiles(repoName, entry.prNumber);
+  const {pipelines} = selectPipelinesForFiles(config, selectPipelines(config, baseBranch), files);
+  if (pipelines.length === 0) {
+    log.info(`${repoName}#${entry.prNumber} needs no pipeline, merging without a test build`);
+    Object.assign(entry, {state: 'testing', baseSha, testSha: pr.merge_commit_sha, pipelines});
+    return checkMergeQueueHead(repoName, baseBranch, entry, config);
+  }
+
+  const {failedPipelines} = await createBuilds(pipelines, repoName, {
+    branch: `pull/${entry.prNumber}/merge`,
+    commit: pr.merge_commit_sha,
+    message: `Merge queue: PR#${entry.prNumber} - ${pr.title}`,
+    metaData: {
+      'merge_queue': 'true',
+      'pr_number': entry.prNumber,
+    },
+    env: {},
+    baseBranch,
+  });
+  if (failedPipelines.length > 0) {
+    await rejectMergeQueueHead(
+      repoName, entry, config, `failed to create build for ${failedPipelines.join(', ')}`
+    );
+    return true;
+  }
+
+  Object.assign(entry, {
+    state: 'testing',
+    baseSha,
+    testSha: pr.merge_commit_sha,
+    pipelines,
+  });
+  await repo.statusAsync(entry.headSha, {
+    state: 'pending',
+    context: MERGE_QUEUE_CONTEXT,
+    description: `Testing merge with ${baseBranch} (${baseSha.substring(0, 8)})`,
+  });
+  return false;
+}
+
+// Check the test builds of the queue head, merging it once they all pass
+async function checkMergeQueueHead(repoName, baseBranch, entry, config) {
+  const repo = githubClient.repo(repoName);
+  const [status] = await repo.combinedStatusAsync(entry.testSha);
+  const results = entry.pipelines.map(spec => {
+    const s = status.statuses.find(s => s.context === pipelineStatusContext(spec));
+    return s ? s.state : 'pending';
+  });
+
+  if (results.some(state => ['failure', 'error'].includes(state))) {
+    await rejectMergeQueueHead(
+      repoName, entry, config, `the merge queue test with \`${baseBranch}\` failed`, 'ci_failure'
+    );
+    return true;
+  }
+  if (!results.every(state => state === 'success')) {
+    return false;
+  }
+
+  log.info(`Merge queue test passed for ${repoName}#${entry.prNumber}, trying to merge...`);
+  const prKey = `${repoName}#${entry.prNumber}`;
+  try {
+    const mergeResult = await repo.pr(entry.prNumber).mergeAsync({
+      sha: entry.headSha,
+      commit_message: 'automerge',
+      merge_method: automergeMethodOverrides.get(prKey) || config.mergeMethod,
+    });
+    log.info(`successfully merged`, mergeResult);
+  } catch (err) {
+    log.error(`Failed to merge ${prKey}:`, err.message);
+    await rejectMergeQueueHead(repoName, entry, config, `merge failed: ${err.message}`);
+    return true;
+  }
+  automergeMethodOverrides.delete(prKey);
+  automergeOutcomes.inc({outcome: 'merged'});
+  await removeFromMergeQueue(repoName, entry.prNumber, 'Merged', 'success');
+  return true;
+}
+
+// Advance the merge queue of a base branch until its head is waiting on a test
+// build or Github
+async function advanceMergeQueue(repoName, baseBranch) {
+  const repo = githubClient.repo(repoName);
+  const config = await getRepoConfig(repoName, baseBranch);
+
+  for (;;) {
+    const [entry] = mergeQueues.entries(repoName, baseBranch);
+    if (!entry) {
+      return;
+    }
+
+    const [pr] = await repo.pr(entry.prNumber).infoAsync();
+    if (pr.state !== 'open') {
+      await removeFromMergeQueue(repoName, entry.prNumber, 'Pull request closed', 'error');
+      continue;
+    }
+    if (pr.head.sha !== entry.headSha) {
+      await removeFromMergeQueue(repoName, entry.prNumber, 'New commits were pushed');
+      continue;
+    }
+
+    const [branch] = await repo.branchAsync(baseBranch);
+    const baseSha = branch.commit.sha;
+    if (entry.state === 'testing' && entry.baseSha !== baseSha) {
+      log.info(`${baseBranch} moved while testing ${repoName}#${entry.prNumber}, retesting`);
+      await cancelBuilds(entry.pipelines, repoName, entry.testSha);
+      entry.state = 'queued';
+    }
+
+    const removed = (entry.state === 'queued') ?
+      await testMergeQueueHead(repoName, baseBranch, entry, pr, baseSha, config) :
+      await checkMergeQueueHead(repoName, baseBranch, entry, config);
+    if (!removed) {
+      return;
+    }
+  }
+}
+
+function processMergeQueue(repoName, baseBranch) {
+  if (mergeQueues.entries(repoName, baseBranch).length === 0) {
+    return Promise.resolve();
+  }
+  return mergeQueues.serialize(
+    repoName,
+    baseBranch,
+    () => advanceMergeQueue(repoName, baseBranch)
+  );
+}
+
+async function autoMergePullRequests(repoName) {
+  log.info(`autoMergePullRequests for ${repoName}...`);
+
+  const openPrs = await githubListAsync(`/repos/${repoName}/pulls`, {state: 'open'});
+  for (let openPr of openPrs) {
+    // Each pull request is gated by the config of its own base branch
+    const config = await getPullRequestConfig(repoName, openPr.base.ref, openPr.head.sha);
+    if (!config || !config.automerge) {
+      continue;
+    }
+    log.info(`Processing #${openPr.number} ${openPr.title}`);
+    await autoMergePullRequest(repoName, openPr.number);
+  }
+}
+
+// Pending automerge scans, keyed by repo name.  A scan makes several Github
+// requests per open pull request, so the events that call for one are
+// coalesced: those arriving before a scan starts share it, and those arriving
+// while it runs share a single rescan
+const autoMergeScans = new Map();
+
+async function runAutoMergeScan(repoName) {
+  const scan = autoMergeScans.get(repoName);
+  do {
+    scan.pending = false;
+    try {
+      await autoMergePullRequests(repoName);
+      for (const baseBranch of mergeQueues.baseBranches(repoName)) {
+        await processMergeQueue(repoName, baseBranch);
+      }
+    } catch (err) {
+      log.error(`Automerge scan of ${repoName} failed:`, err);
+    }
+  } while (scan.pending);
+  autoMergeScans.delete(repoName);
+}
+
+// Schedule a scan of the open pull requests of a repo for automerge.  The
+// event is handled without waiting for the scan, except in a dry run which
+// handles a single event and so scans right away
+function scheduleAutoMergeScan(repoName) {
+  const scan = autoMergeScans.get(repoName);
+  if (scan) {
+    log.info(`Automerge scan of ${repoName} already scheduled`);
+    scan.pending = true;
+    return Promise.resolve();
+  }
+
+  autoMergeScans.set(repoName, {pending: false});
+  if (dryRunRecorder) {
+    return runAutoMergeScan(repoName);
+  }
+  setTimeout(() => runAutoMergeScan(repoName), envconst.AUTOMERGE_SCAN_DELAY_SECONDS * 1000);
+  return Promise.resolve();
+}
+
+function pipelineInPublicLogWhitelist(pipeline) {
+  const wl = envconst.BUILDKITE_PIPELINE_PUBLIC_LOG_WHITELIST;
+  return wl.split(',').includes(pipeline);
+}
+
+// Returns the public log equivalent of a buildkite build URL if the pipeline
+// is in the whitelist
+function buildkitePublicLogUrl(pipeline, webUrl) {
+  if (pipelineInPublicLogWhitelist(pipeline)) {
+    return envconst.PUBLIC_URL_ROOT + '/buildkite_public_log?' + webUrl;
+  }
+  return webUrl;
+}
+
+async function prRemoveLabel(repoName, prNumber, labelName) {
+  log.info(`Removing label ${labelName} from ${repoName}#${prNumber}`);
+  const issue = githubClient.issue(repoName, prNumber);
+  try {
+    await issue.removeLabelAsync(labelName);
+  } catch (err) {
+    log.warn(
+      `Error removing label ${labelName} from ${repoName}#${prNumber}`,
+      err.message
+    );
+    return false;
+  }
+  return true;
+}
+
+function isBuildkitePublicLogUrl(url) {
+  if (typeof(url) !== 'string') {
+    return false;
+  }
+
+  const orgUrlPrefix = `https://buildkite.com/${envconst.BUILDKITE_ORG_SLUG}/`;
+  if (!url.startsWith(orgUrlPrefix)) {
+    return false;
+  }
+
+  const buildInfo = url.slice(orgUrlPrefix.length);
+  const reMatch = buildInfo.match(/^([a-z-]+)\/builds\/([1-9[0-9]+|latest\/[a-z]+)$/);
+  if (!reMatch) {
+    return false;
+  }
+  assert(reMatch.index === 0);
+  assert(reMatch.length === 3);
+
+  const pipeline = reMatch[1];
+  const buildNumber = reMatch[2].startsWith('latest/') ? reMatch[2].substr(7) : Number(reMatch[2]);
+  return {pipeline, buildNumber};
+}
+
+function isBuildkitePublicArtifactUrl(url) {
+  if (typeof(url) !== 'string') {
+    return false;
+  }
+
+  const orgUrlPrefix = `https://api.buildkite.com/v2/organizations/${envconst.BUILDKITE_ORG_SLUG}/pipelines/`;
+  if (!url.startsWith(orgUrlPrefix)) {
     return false;
   }
 
@@ -464,8 +1649,6 @@ function isBuildkitePublicArtifactUrl(url) {
   return {pipeline, buildNumber, jobId, artifactId};
 }
 
-let autoMergePullRequestsBusy = false;
-let autoMergePullRequestsPending = false;
 async function onGithubStatusUpdate(payload) {
   log.info('onGithubStatusUpdate', payload);
 
@@ -480,6 +1663,11 @@ async function onGithubStatusUpdate(payload) {
     target_url,
   } = payload;
 
+  // Every backend reports the result of a build with its pipeline's status
+  if (state !== 'pending') {
+    untrackFinishedBuilds(build => build.commit === sha && pipelineStatusContext(build.spec) === context);
+  }
+
   const buildInfo = isBuildkitePublicLogUrl(target_url);
   if (!buildInfo) {
     log.info(`Ignoring non-buildkite URL: ${target_url}`);
@@ -487,7 +1675,7 @@ async function onGithubStatusUpdate(payload) {
     // Overwrite the buildkite status url with the public log equivalent if this
     // pipeline is in the whitelist
     if (pipelineInPublicLogWhitelist(buildInfo.pipeline)) {
-      const new_target_url = envconst.PUBLIC_URL_ROOT + '/buildkite_public_log?' + target_url;
+      const new_target_url = buildkitePublicLogUrl(buildInfo.pipeline, target_url);
       log.info('updating to', new_target_url);
       const repo = githubClient.repo(name);
       await repo.statusAsync(sha, {
@@ -499,35 +1687,40 @@ async function onGithubStatusUpdate(payload) {
     }
   }
 
-  if (!envconst.AUTOMERGE) {
+  // Check if any PRs in this repo should be merged, as unfortunately the status
+  // API provides no link from commit status to the corresponding pull request
+  await scheduleAutoMergeScan(name);
+}
+
+// Completed check runs, such as Github Actions jobs, send no status event but
+// may satisfy the last required check of a pull request
+async function onGithubCheckSuite(payload) {
+  const {action, check_suite, repository} = payload;
+  if (action !== 'completed') {
     return;
   }
-
-  autoMergePullRequestsPending = true;
-  if (autoMergePullRequestsBusy) {
-    log.info('autoMergePullRequests busy');
+  const repoName = repository.full_name;
+  log.info(`Check suite ${check_suite.id} completed for ${repoName}@${check_suite.head_sha}`);
+  if (check_suite.pull_requests.length === 0) {
+    // Pull requests from forks are not listed
+    await scheduleAutoMergeScan(repoName);
     return;
   }
-  autoMergePullRequestsBusy = true;
-  while (autoMergePullRequestsPending) {
-    autoMergePullRequestsPending = false;
-    try {
-      // Check if any PRs in this repo should be merged, as unfortunately the status
-      // API provides no link from commit status to the corresponding pull request
-      await autoMergePullRequests(name);
-    } catch (err) {
-      log.error('autoMergePullRequests failed with:', err);
-    }
+  for (const pr of check_suite.pull_requests) {
+    await autoMergePullRequest(repoName, pr.number);
+  }
+  for (const baseBranch of mergeQueues.baseBranches(repoName)) {
+    await processMergeQueue(repoName, baseBranch);
   }
-  autoMergePullRequestsBusy = false;
 }
 
 async function onGithubPullRequestReview(payload) {
-  const {action, review, pull_request} = payload;
+  const {action, review, pull_request, repository} = payload;
   const prNumber = pull_request.number;
-  const repoName = pull_request.head.repo.full_name;
+  const repoName = repository.full_name;
 
-  log.info(`onGithubPullRequestReview ${action} on ${repoName}#{prNumber}`, review);
+  // Submitted, edited and dismissed reviews can all change the approval state
+  log.info(`onGithubPullRequestReview ${action} on ${repoName}#${prNumber}`, review);
   await autoMergePullRequest(repoName, prNumber);
 }
 
@@ -543,410 +1736,1508 @@ async function onGithubPullRequest(payload) {
   const repo = githubClient.repo(repoName);
 
   log.info(payload.action, headSha, prNumber, repoName, baseBranch);
+  // Closing needs no config, so is handled even while the config is invalid
+  if (payload.action === 'closed') {
+    await cancelSupersededBuilds(repoName, prNumber, null);
+    await leaveMergeQueue(repoName, prNumber, merged ? 'Merged' : 'Pull request closed');
+    return;
+  }
+  const config = await getPullRequestConfig(repoName, baseBranch, headSha);
+  if (!config) {
+    return;
+  }
+
   switch (payload.action) {
   case 'synchronize':
-    handleCommitsPushedToPullRequest(repoName, prNumber);
+    await handleCommitsPushedToPullRequest(repoName, prNumber, config);
+    await cancelSupersededBuilds(repoName, prNumber, headSha);
     //fall through
   case 'opened':
   case 'reopened':
   {
-    await prRemoveLabel(repoName, prNumber, CI_LABEL);
+    await prRemoveLabel(repoName, prNumber, config.ciLabel);
 
-    if (await userInCiWhitelist(repoName, prNumber, user)) {
-      if (!await hasNoCILabel(repoName, prNumber, headSha)) {
-        await triggerPipeline(path.basename(repoName), repoName, baseBranch, prNumber, headSha, CI_LABEL, title, user);
+    if (await userInCiWhitelist(repoName, user, config) ||
+        await pullRequestCiApproved(repoName, prNumber, headSha, user, config)) {
+      if (!await hasNoCILabel(repoName, prNumber, headSha, config)) {
+        await triggerPipeline(selectPipelines(config, baseBranch), repoName, baseBranch, prNumber, headSha, config.ciLabel, title, user, config, null);
       }
-      await triggerLabelsOnPipeline(repoName, baseBranch, prNumber, headSha, title, user);
+      await triggerLabelsOnPipeline(repoName, baseBranch, prNumber, headSha, title, user, config, null);
     } else {
+      gateDecisions.inc({reason: userInCiDenylist(user, config) ? 'denylist' : 'pending'});
       await repo.statusAsync(headSha, {
         'state': 'pending',
         'context': STATUS_CONTEXT,
-        'description': needsCiLabelDescription,
+        'description': needsCiLabelDescription(config),
       });
     }
     break;
   }
   case 'labeled':
     if (!merged) {
-      if (await prHasLabel(repoName, prNumber, CI_LABEL)) {
-        if (!await hasNoCILabel(repoName, prNumber, headSha)) {
-          await triggerPipeline(path.basename(repoName), repoName, baseBranch, prNumber, headSha, CI_LABEL, title, user);
+      // Triage access is enough to add labels, so only users with write
+      // access approve CI by adding the CI label
+      if (payload.label.name.toLowerCase() === config.ciLabel.toLowerCase()) {
+        if (await userHasWriteAccess(repoName, user)) {
+          await approveCiForCommit(
+            repoName,
+            headSha,
+            `Approved by @${user} for ${headSha.substring(0, 8)}`
+          );
+          if (!await hasNoCILabel(repoName, prNumber, headSha, config)) {
+            await triggerPipeline(selectPipelines(config, baseBranch), repoName, baseBranch, prNumber, headSha, config.ciLabel, title, user, config, user);
+          }
+        } else {
+          log.warn(`${user} has no write access to ${repoName}, ignoring the ${config.ciLabel} label on #${prNumber}`);
         }
       }
       await autoMergePullRequest(repoName, prNumber);
     }
-    await triggerLabelsOnPipeline(repoName, prNumber, headSha, title, user);
+    await triggerLabelsOnPipeline(repoName, baseBranch, prNumber, headSha, title, user, config, user);
+    break;
+  case 'unlabeled':
+    if (payload.label.name.toLowerCase() === config.automergeLabel.toLowerCase()) {
+      automergeMethodOverrides.delete(`${repoName}#${prNumber}`);
+      await leaveMergeQueue(repoName, prNumber, `${config.automergeLabel} label removed`);
+    }
     break;
   default:
     log.info('Ignored pull request action:', payload.action);
   }
 }
 
-async function onGithubPush(payload) {
-  log.info(payload);
-  await Promise.resolve(); // pacify eslint
+async function userHasWriteAccess(repoName, user) {
+  try {
+    const {permission} = await githubRequestAsync(
+      'get',
+      `/repos/${repoName}/collaborators/${user}/permission`
+    );
+    return ['admin', 'write'].includes(permission);
+  } catch (err) {
+    log.warn(`Unable to fetch ${user} permission for ${repoName}:`, err.message);
+    return false;
+  }
+}
+
+async function onSlashCommandCi(context) {
+  const {repoName, prNumber, pr, config, user} = context;
+  if (await hasNoCILabel(repoName, prNumber, pr.head.sha, config)) {
+    return `Remove the ${config.nociLabel} label first`;
+  }
+  await approveCiForCommit(
+    repoName,
+    pr.head.sha,
+    `Approved by @${user} for ${pr.head.sha.substring(0, 8)}`
+  );
+  await triggerPipeline(
+    selectPipelines(config, pr.base.ref),
+    repoName, pr.base.ref, prNumber, pr.head.sha, config.ciLabel, pr.title, user, config, user
+  );
+  return null;
+}
+
+async function onSlashCommandNoCi(context) {
+  const {repoName, prNumber, pr, config} = context;
+  await prSetLabel(repoName, prNumber, config.nociLabel);
+  await hasNoCILabel(repoName, prNumber, pr.head.sha, config);
+  return null;
+}
+
+async function onSlashCommandCancel(context) {
+  const {repoName, pr, config} = context;
+  const pipelines = config.pipelines.filter(
+    spec => spec.branches === null || spec.branches.includes(pr.base.ref)
+  );
+
+  const canceled = await cancelBuilds(pipelines, repoName, pr.head.sha);
+  if (canceled === 0) {
+    return `No running builds for ${pr.head.sha.substring(0, 8)}`;
+  }
+  return null;
+}
+
+async function onSlashCommandRetry(context) {
+  const {repoName, prNumber, pr, config, user} = context;
+  if (await hasNoCILabel(repoName, prNumber, pr.head.sha, config)) {
+    return `Remove the ${config.nociLabel} label first`;
+  }
+  await approveCiForCommit(
+    repoName,
+    pr.head.sha,
+    `Approved by @${user} for ${pr.head.sha.substring(0, 8)}`
+  );
+  const pipelines = selectPipelines(config, pr.base.ref);
+  await cancelBuilds(pipelines, repoName, pr.head.sha);
+  await triggerPipeline(
+    pipelines,
+    repoName, pr.base.ref, prNumber, pr.head.sha, config.ciLabel, pr.title, user, config, user, true
+  );
+  return null;
+}
+
+async function onSlashCommandAutomerge(context) {
+  const {repoName, prNumber, config, args} = context;
+  if (!config.automerge) {
+    return 'Automerge is not enabled for this repository';
+  }
+
+  const [mergeMethod] = args;
+  if (mergeMethod !== undefined) {
+    if (!['merge', 'squash', 'rebase'].includes(mergeMethod)) {
+      return `Unknown merge method '${mergeMethod}', use merge, squash or rebase`;
+    }
+    automergeMethodOverrides.set(`${repoName}#${prNumber}`, mergeMethod);
+  }
+  await prSetLabel(repoName, prNumber, config.automergeLabel);
+  await autoMergePullRequest(repoName, prNumber);
+  return null;
+}
+
+const slashCommands = {
+  'ci': onSlashCommandCi,
+  'noci': onSlashCommandNoCi,
+  'retry': onSlashCommandRetry,
+  'cancel': onSlashCommandCancel,
+  'automerge': onSlashCommandAutomerge,
+};
+
+// Returns the slash command on the first line of a comment, if any
+function parseSlashCommand(body) {
+  const firstLine = body.trim().split(/\r?\n/)[0];
+  const match = firstLine.match(/^\/([a-z]+)((?:\s+\S+)*)\s*$/i);
+  if (!match || !slashCommands[match[1].toLowerCase()]) {
+    return null;
+  }
+  return {
+    name: match[1].toLowerCase(),
+    args: match[2].trim().split(/\s+/).filter(arg => arg.length > 0),
+  };
+}
+
+async function onGithubIssueComment(payload) {
+  const {action, comment, issue, repository, sender} = payload;
+  if (action !== 'created' || !issue.pull_request || sender.type === 'Bot') {
+    return;
+  }
+
+  const command = parseSlashCommand(comment.body);
+  if (!command) {
+    return;
+  }
+
+  const repoName = repository.full_name;
+  const prNumber = issue.number;
+  const user = comment.user.login;
+  log.info(`/${command.name} from ${user} on ${repoName}#${prNumber}`);
+
+  let rejection;
+  if (!await userHasWriteAccess(repoName, user)) {
+    rejection = `Only project members may use /${command.name}`;
+  } else {
+    const [pr] = await githubClient.repo(repoName).pr(prNumber).infoAsync();
+    if (pr.state !== 'open') {
+      rejection = 'This pull request is not open';
+    } else {
+      const config = await getPullRequestConfig(repoName, pr.base.ref, pr.head.sha);
+      rejection = config ? await slashCommands[command.name]({
+        repoName,
+        prNumber,
+        pr,
+        config,
+        user,
+        args: command.args,
+      }) : `The ${REPO_CONFIG_PATH} of ${pr.base.ref} is invalid`;
+    }
+  }
+
+  await githubRequestAsync(
+    'post',
+    `/repos/${repoName}/issues/comments/${comment.id}/reactions`,
+    {content: rejection ? 'confused' : '+1'}
+  );
+  if (rejection) {
+    log.info(`/${command.name} rejected: ${rejection}`);
+    await postComment(repoName, prNumber, `@${user} \`/${command.name}\` was not applied: ${rejection}`);
+  }
+}
+
+async function onGithubPush(payload) {
+  log.info(payload);
+
+  // Drop the cached repo config when a push to a branch modifies it
+  const {ref, repository, commits = []} = payload;
+  const branchMatch = ref.match(/^refs\/heads\/(.+)$/);
+  if (branchMatch) {
+    const configModified = commits.some(commit => {
+      return [...commit.added, ...commit.modified, ...commit.removed].includes(REPO_CONFIG_PATH);
+    });
+    if (configModified) {
+      getRepoConfig.invalidate(repository.full_name, branchMatch[1]);
+    }
+
+    // The merge queue head must be retested if its base branch moved
+    await processMergeQueue(repository.full_name, branchMatch[1]);
+  }
+}
+
+async function onGithubPing(payload) {
+  log.info('Github ping:', payload.zen);
+  await Promise.resolve(); // pacify eslint
+}
+
+// Handle a Github webhook event from the webhook queue, which retries the
+// event if this throws
+async function handleGithubEvent({id, name, payload}) {
+  log.debug('Github webhook:', name, id);
+  log.verbose(payload);
+  const hooks = {
+    'ping': onGithubPing,
+    'pull_request': onGithubPullRequest,
+    'issue_comment': onGithubIssueComment,
+    'push': onGithubPush,
+    'status': onGithubStatusUpdate,
+    'pull_request_review': onGithubPullRequestReview,
+    'check_suite': onGithubCheckSuite,
+  };
+  if (githubApp && payload.installation) {
+    // Use the installation that delivered the event for requests about its
+    // owner
+    const account = payload.installation.account || (payload.repository && payload.repository.owner);
+    if (account) {
+      githubApp.setInstallation(account.login, payload.installation.id);
+    }
+  }
+  const labels = {source: 'github', event: name, action: payload.action || ''};
+  if (!hooks[name]) {
+    log.warn('Unhandled Github webhook:', name);
+    webhookEvents.inc(Object.assign(labels, {outcome: 'unhandled'}));
+    return;
+  }
+  try {
+    await hooks[name](payload);
+  } catch (err) {
+    webhookEvents.inc(Object.assign(labels, {outcome: 'error'}));
+    throw err;
+  }
+  webhookEvents.inc(Object.assign(labels, {outcome: 'success'}));
+}
+
+let webhookQueue = null;
+
+// Persist a received Github webhook event, failing the delivery if it could
+// not be persisted so that Github reports it
+async function onGithub(event) {
+  if (!await webhookQueue.enqueue(event)) {
+    webhookEvents.inc({
+      source: 'github',
+      event: event.name,
+      action: event.payload.action || '',
+      outcome: 'duplicate',
+    });
+  }
+}
+
+function buildkiteActiveState(state) {
+  switch (state) {
+  case 'canceling':
+  case 'canceled':
+  case 'failed':
+  case 'passed':
+  case 'timed_out':
+  case 'waiting_failed':
+    return false;
+  default:
+    return true;
+  }
+}
+
+// CSS classes of a build or job state, colored by /theme.css
+function buildkiteStateClass(state) {
+  const colorByState = {
+    accepted: 'gray',
+    assigned: 'gray',
+    blocked: 'gray',
+    canceled: 'red',
+    canceling: 'red',
+    failed: 'red',
+    passed: 'green',
+    running: 'orange',
+    scheduled: 'gray',
+    skipped: 'magenta',
+    timed_out: 'red',
+    waiting: 'gray',
+    waiting_failed: 'red',
+  };
+  assert(
+    typeof colorByState[state] === 'string',
+    `Missing state in colorByState: ${state}`
+  );
+  return `state state-${colorByState[state]}`;
+}
+
+function buildkiteHumanTimeInfo(buildData) {
+  assert(typeof buildData.state === 'string');
+
+  let description = '';
+  switch (buildData.state) {
+  case 'scheduled':
+  case 'waiting':
+  case 'assigned':
+  case 'accepted':
+  {
+    assert(typeof buildData.scheduled_at === 'string');
+    const scheduledTime = moment.utc(buildData.scheduled_at);
+    scheduledTime.local();
+    description = 'waiting since ' + scheduledTime.format('HH:mm:ss on dddd');
+    break;
+  }
+  case 'blocked':
+  {
+    description = 'blocked';
+    break;
+  }
+  case 'timed_out':
+  {
+    description = 'timed out';
+    break;
+  }
+  case 'waiting_failed':
+  case 'canceling':
+  case 'canceled':
+  {
+    description = 'aborted';
+    break;
+  }
+  case 'running':
+  {
+    assert(typeof buildData.scheduled_at === 'string');
+    assert(typeof buildData.started_at === 'string');
+    const startedTime = moment.utc(buildData.started_at);
+    startedTime.local();
+    description = 'running since ' + startedTime.format('HH:mm:ss on dddd');
+    break;
+  }
+  case 'failed':
+  case 'passed':
+  {
+    assert(typeof buildData.scheduled_at === 'string');
+    assert(typeof buildData.started_at === 'string');
+    assert(typeof buildData.finished_at === 'string');
+    const scheduledTime = moment.utc(buildData.scheduled_at);
+    const startedTime = moment.utc(buildData.started_at);
+    const finishedTime = moment.utc(buildData.finished_at);
+
+    scheduledTime.local();
+    startedTime.local();
+    finishedTime.local();
+    const runDuration = moment.duration(finishedTime.diff(startedTime));
+    const waitDuration = moment.duration(startedTime.diff(scheduledTime));
+
+    description = 'ran for ' + runDuration.humanize();
+    if (waitDuration.minutes() > 0) {
+      description += ', queued for ' + waitDuration.humanize();
+    }
+    break;
+  }
+  default:
+    throw new Error(`Unknown state: ${buildData.state}`);
+  }
+  return description;
+}
+
+function buildkiteGithubState(state) {
+  switch (state) {
+  case 'passed':
+    return 'success';
+  case 'failed':
+    return 'failure';
+  case 'canceling':
+  case 'canceled':
+  case 'skipped':
+  case 'not_run':
+    return 'error';
+  default:
+    return 'pending';
+  }
+}
+
+async function updateBuildkiteBuildStatus(pipeline, build, description) {
+  const repoName = build.meta_data && build.meta_data.github_repo;
+  if (!repoName) {
+    log.info(`Ignoring ${pipeline.slug} build #${build.number}, not created by ${STATUS_CONTEXT}`);
+    return;
+  }
+
+  const repo = githubClient.repo(repoName);
+  await repo.statusAsync(build.commit, {
+    state: buildkiteGithubState(build.state),
+    context: buildkiteStatusContext(pipeline.slug),
+    description: description.substring(0, 140), // Github limit
+    target_url: buildkitePublicLogUrl(pipeline.slug, build.web_url),
+  });
+}
+
+async function onBuildkiteBuild(payload) {
+  const {build, pipeline} = payload;
+
+  if (!buildkiteActiveState(build.state)) {
+    untrackFinishedBuilds(tracked => {
+      return tracked.spec.backend === 'buildkite' && tracked.spec.pipeline === pipeline.slug &&
+        tracked.id === build.number;
+    });
+  }
+
+  let description = `Build #${build.number} ${build.state}`;
+  if (['passed', 'failed'].includes(build.state)) {
+    description += ', ' + buildkiteHumanTimeInfo(build);
+  }
+  await updateBuildkiteBuildStatus(pipeline, build, description);
+}
+
+async function onBuildkiteJobFinished(payload) {
+  const {build, job, pipeline} = payload;
+
+  // Once the build itself is finished its status is final
+  if (!job.name || !buildkiteActiveState(build.state)) {
+    return;
+  }
+  const jobName = job.name.replace(/\[public\]/gi, '').trim();
+  await updateBuildkiteBuildStatus(
+    pipeline,
+    build,
+    `Build #${build.number} ${build.state}, ${jobName} ${job.state}`
+  );
+}
+
+// Compare a secret token in constant time
+function tokenMatches(token, expectedToken) {
+  const actual = Buffer.from(token || '');
+  const expected = Buffer.from(expectedToken);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function verifyBuildkiteWebhookToken(req) {
+  return tokenMatches(req.get('X-Buildkite-Token'), envconst.BUILDKITE_WEBHOOK_TOKEN);
+}
+
+function requireWebhookAdminToken(req, res, next) {
+  const authorization = req.get('Authorization') || '';
+  if (!tokenMatches(authorization.replace(/^Bearer /, ''), envconst.WEBHOOK_ADMIN_TOKEN)) {
+    res.status(401).json({error: 'Unauthorized'});
+    return;
+  }
+  next();
+}
+
+function onWebhookDeadLettersRequest(req, res) {
+  res.json(webhookQueue.deadLetters().map(event => ({
+    id: event.id,
+    name: event.name,
+    attempts: event.attempts,
+    last_error: event.lastError,
+    received_at: moment(event.receivedAt).toISOString(),
+    payload: event.payload,
+  })));
+}
+
+async function onWebhookDeadLetterReplayRequest(req, res) {
+  if (!await webhookQueue.replay(req.params.id)) {
+    res.status(404).json({error: 'Dead letter not found'});
+    return;
+  }
+  res.json({replayed: req.params.id});
+}
+
+async function onBuildkiteWebhook(req, res) {
+  const labels = {source: 'buildkite', event: (req.body && req.body.event) || '', action: ''};
+  if (!verifyBuildkiteWebhookToken(req)) {
+    log.warn('Buildkite webhook with invalid token');
+    webhookEvents.inc(Object.assign(labels, {outcome: 'unauthorized'}));
+    res.status(401).send('');
+    return;
+  }
+  res.status(200).send('');
+
+  const payload = req.body;
+  let outcome = 'success';
+  try {
+    log.debug('Buildkite webhook:', payload.event);
+    log.verbose(payload);
+    const hooks = {
+      'build.scheduled': onBuildkiteBuild,
+      'build.running': onBuildkiteBuild,
+      'build.finished': onBuildkiteBuild,
+      'job.finished': onBuildkiteJobFinished,
+    };
+    if (hooks[payload.event]) {
+      await hooks[payload.event](payload);
+    } else {
+      log.warn('Unhandled Buildkite webhook:', payload.event);
+      outcome = 'unhandled';
+    }
+  } catch (err) {
+    log.error(err);
+    outcome = 'error';
+  }
+  webhookEvents.inc(Object.assign(labels, {outcome}));
+}
+
+// Returns the number of the latest build of a branch, or null if it has none
+async function latestBuildkiteBuildNumber(pipeline, branch) {
+  const response = await buildkiteRequestAsync('get', `/pipelines/${pipeline}/builds`, {
+    params: {branch, per_page: 1},
+  });
+  return response.data.length > 0 ? response.data[0].number : null;
+}
+
+// Returns the builds of a branch created within `range`, given as
+// {created_from, created_to}, newest first and at most `perPage` of them
+async function buildkiteBranchBuildsCreated(pipeline, branch, range, perPage) {
+  const response = await buildkiteRequestAsync('get', `/pipelines/${pipeline}/builds`, {
+    params: Object.assign({branch, per_page: perPage}, range),
+  });
+  return response.data;
+}
+
+/*
+   Find the builds of a branch immediately before and after build `number`,
+   created at `createdAt`, by their creation times.  Either may be null.
+
+   Builds are listed newest first, so the next build is searched for in a
+   window after `createdAt` that widens until it holds a later build, and
+   narrows to the oldest builds listed while it holds more than a page.
+ */
+async function buildkiteBranchNeighbors(pipeline, branch, number, createdAt) {
+  const perPage = 100;
+  const earlier = await buildkiteBranchBuildsCreated(pipeline, branch, {created_to: createdAt}, perPage);
+  const previous = earlier.find(build => build.number < number) || null;
+
+  const from = Date.parse(createdAt);
+  let to = from + BUILDKITE_NEXT_BUILD_WINDOW_SECONDS * 1000;
+  let next = null;
+  for (;;) {
+    const builds = await buildkiteBranchBuildsCreated(
+      pipeline,
+      branch,
+      {created_from: createdAt, created_to: new Date(to).toISOString()},
+      perPage
+    );
+    const later = builds.filter(build => build.number > number);
+    if (later.length > 0) {
+      next = later[later.length - 1];
+      const nextCreated = Date.parse(next.created_at);
+      if (builds.length < perPage || nextCreated >= to) {
+        return {previous, next};
+      }
+      // Older builds of the window may not be listed
+      to = nextCreated;
+    } else if (next || to >= Date.now()) {
+      return {previous, next};
+    } else {
+      to = from + (to - from) * 4;
+    }
+  }
+}
+
+// Validate the buildkite build URL in the query string of a public log request.
+// Responds with an error and returns null if it is invalid
+function parsePublicLogRequest(req, res) {
+  const queryIndex = req.originalUrl.indexOf('?');
+  const url = (queryIndex >= 0) ? req.originalUrl.slice(queryIndex + 1) : '';
+  const buildInfo = isBuildkitePublicLogUrl(url);
+  if (!buildInfo) {
+    log.warn(`Invalid public log url:`, url);
+    res.status(400).send('');
+    return null;
+  }
+
+  if (!pipelineInPublicLogWhitelist(buildInfo.pipeline)) {
+    log.warn(`Pipeline is not in whitelist:`, buildInfo.pipeline);
+    res.status(400).send('');
+    return null;
+  }
+  return {url, buildInfo};
+}
+
+function buildkitePublicArtifactUrl(pipeline, buildNumber, artifact) {
+  return envconst.PUBLIC_URL_ROOT + '/buildkite_public_artifact?' +
+    `https://api.buildkite.com/v2/organizations/${envconst.BUILDKITE_ORG_SLUG}/pipelines/${pipeline}/builds/${buildNumber}/jobs/${artifact.job_id}/artifacts/${artifact.id}/download`;
+}
+
+function publicJobLogPath(pipeline, buildNumber, jobId) {
+  return `/buildkite_public_job_log/${pipeline}/${buildNumber}/${jobId}`;
+}
+
+// Fetch the build of a public log request, or null if there is no such build
+async function getPublicLogBuild(buildInfo) {
+  const pipeline = await getBuildkitePipeline(buildInfo.pipeline);
+  if (!pipeline) {
+    return null;
+  }
+  pipeline.getBuildAsync = promisifyBuildkite(pipeline.getBuild);
+
+  let buildNumber = buildInfo.buildNumber;
+  if (typeof buildNumber === 'string') {
+    buildNumber = await latestBuildkiteBuildNumber(buildInfo.pipeline, buildNumber);
+  }
+  return (buildNumber === null) ? null : pipeline.getBuildAsync(buildNumber);
+}
+
+function jobLogIsPublic(job) {
+  return envconst.BUILDKITE_EXPOSE_ALL_JOB_LOGS || job.name.includes('[public]');
+}
+
+const publicLogStreams = createBuildStreams({
+  pollSeconds: Number(envconst.PUBLIC_LOG_POLL_SECONDS),
+  maxConnections: Number(envconst.PUBLIC_LOG_MAX_STREAMS),
+});
+
+// Poll a build streamed to public log pages, see createBuildStreams()
+async function publicLogStreamBuild(pipeline, buildNumber) {
+  const build = await pipeline.getBuildAsync(buildNumber);
+  return {
+    build: {
+      state: build.state,
+      stateClass: buildkiteStateClass(build.state),
+      humanTime: buildkiteHumanTimeInfo(build.data),
+      active: buildkiteActiveState(build.state),
+    },
+    jobs: build.jobs.filter(job => job.name).map(job => ({
+      id: job.id,
+      state: job.data.state,
+      stateClass: buildkiteStateClass(job.data.state),
+      humanTime: buildkiteHumanTimeInfo(job.data),
+      active: buildkiteActiveState(job.data.state),
+      getLogHtml: jobLogIsPublic(job) ? async () => {
+        job.getLogHtmlAsync = promisifyBuildkite(job.getLogHtml);
+        return redactor.redactHtml((await job.getLogHtmlAsync()) || '', `log of job ${job.id}`);
+      } : null,
+    })),
+  };
+}
+
+// Stream state changes and appended log output of a build to a public log page
+// as server-sent events, until the build is no longer active
+async function onBuildKitePublicLogEventsRequest(req, res) {
+  const request = parsePublicLogRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const {url, buildInfo} = request;
+
+  // Errors before the stream starts are answered by pageHandler
+  const pipeline = await getBuildkitePipeline(buildInfo.pipeline);
+  if (!pipeline) {
+    res.status(404).send('');
+    return;
+  }
+  pipeline.getBuildAsync = promisifyBuildkite(pipeline.getBuild);
+
+  let buildNumber = buildInfo.buildNumber;
+  if (typeof buildNumber === 'string') {
+    buildNumber = await latestBuildkiteBuildNumber(buildInfo.pipeline, buildNumber);
+  }
+  if (buildNumber === null) {
+    res.status(404).send('');
+    return;
+  }
+
+  const key = `${buildInfo.pipeline}/${buildNumber}`;
+  if (!publicLogStreams.subscribe(res, key, () => publicLogStreamBuild(pipeline, buildNumber))) {
+    res.status(503).send('');
+    return;
+  }
+  log.info('Streaming log events for', url);
+}
+
+// Gather the data of a public log page
+async function publicLogView(url, buildInfo, build) {
+  const {previous, next} = await buildkiteBranchNeighbors(
+    buildInfo.pipeline,
+    build.branch,
+    build.number,
+    build.data.created_at
+  );
+  const neighbor = neighborBuild => neighborBuild && {
+    number: neighborBuild.number,
+    url: buildkitePublicLogUrl(buildInfo.pipeline, neighborBuild.web_url),
+  };
+
+  const {provider} = build.data.pipeline;
+  const branch = {name: build.branch, url: null};
+  if (provider.id === 'github') {
+    const {repository} = provider.settings;
+
+    const prMatch = build.branch.match(/^pull\/([1-9[0-9]+)\/head$/);
+    if (prMatch) {
+      const prNumber = prMatch[1];
+      branch.name = `#${prNumber}`;
+      branch.url = `https://github.com/${repository}/pull/${prNumber}`;
+    } else {
+      branch.url = `https://github.com/${repository}/tree/${build.branch}`;
+    }
+  }
+
+  const jobs = [];
+  let activeJobFound = false;
+  for (const job of build.jobs.filter((job) => job.name)) {
+    const jobName = job.name.replace(/\[public\]/gi, '').trim();
+    const jobLogPath = publicJobLogPath(buildInfo.pipeline, build.number, job.id);
+
+    let logHtml = null;
+    let artifacts = [];
+    if (jobLogIsPublic(job)) {
+      job.getLogHtmlAsync = promisifyBuildkite(job.getLogHtml);
+      logHtml = redactor.redactHtml((await job.getLogHtmlAsync()) || '', `log of job ${job.id}`);
+
+      const jobArtifacts = await artifactProxy.listArtifacts(buildInfo.pipeline, build.number, job.id);
+      artifacts = jobArtifacts.map(artifact => ({
+        path: artifact.path,
+        size: artifact.file_size,
+        url: buildkitePublicArtifactUrl(buildInfo.pipeline, build.number, artifact),
+      }));
+    }
+
+    // Only the first active job shows the live update spinner
+    const active = !activeJobFound && buildkiteActiveState(job.data.state);
+    activeJobFound = activeJobFound || active;
+
+    jobs.push({
+      id: job.id,
+      name: jobName,
+      anchor: jobName,
+      state: job.data.state,
+      stateClass: buildkiteStateClass(job.data.state),
+      humanTime: buildkiteHumanTimeInfo(job.data),
+      webUrl: job.data.web_url,
+      command: redactor.redactText(job.command || '', `command of job ${job.id}`),
+      active,
+      logHtml,
+      pagedLogUrl: jobLogPath,
+      textLogUrl: `${jobLogPath}/text`,
+      artifacts,
+    });
+  }
+
+  return {
+    eventsUrl: buildkiteActiveState(build.state) ? `/buildkite_public_log_events?${url}` : null,
+    build: {
+      message: build.message,
+      state: build.state,
+      stateClass: buildkiteStateClass(build.state),
+      humanTime: buildkiteHumanTimeInfo(build.data),
+      webUrl: build.data.web_url,
+      artifactsUrl: `/buildkite_public_artifacts?${build.data.web_url}`,
+      branch,
+      previous: neighbor(previous),
+      next: neighbor(next),
+    },
+    jobs,
+  };
+}
+
+async function onBuildKitePublicLogRequest(req, res) {
+  const request = parsePublicLogRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const {url, buildInfo} = request;
+
+  const build = await getPublicLogBuild(buildInfo);
+  if (!build) {
+    log.warn(`Build ${buildInfo.buildNumber} not found`);
+    res.status(404);
+    sendHtmlPage(res, htmlPage({
+      title: 'Build not found',
+      body: html`Build ${buildInfo.buildNumber} not found, try <a href="${url}">here</a> instead.`,
+    }));
+    return;
+  }
+
+  const view = await publicLogView(url, buildInfo, build);
+  log.info('Emitting log for', url);
+  sendHtmlPage(res, renderPublicLogPage(view));
+}
+
+async function onBuildKitePublicArtifactRequest(req, res) {
+  const queryIndex = req.originalUrl.indexOf('?');
+  const url = (queryIndex >= 0) ? req.originalUrl.slice(queryIndex + 1) : '';
+
+  const buildInfo = isBuildkitePublicArtifactUrl(url);
+  if (!buildInfo) {
+    log.warn(`Invalid public artifact url:`, url);
+    res.status(400).send('');
+    return;
+  }
+  if (!pipelineInPublicLogWhitelist(buildInfo.pipeline)) {
+    log.warn(`Pipeline is not in whitelist:`, buildInfo.pipeline);
+    res.status(400).send('');
+    return;
+  }
+
+  try {
+    const pipeline = await getBuildkitePipeline(buildInfo.pipeline);
+    if (!pipeline) {
+      res.status(404).send('Job not found');
+      return;
+    }
+    pipeline.getBuildAsync = promisifyBuildkite(pipeline.getBuild);
+    const build = await pipeline.getBuildAsync(buildInfo.buildNumber);
+
+    const job = build && build.jobs.find(j => j.id === buildInfo.jobId && j.name);
+    if (!job || !jobLogIsPublic(job)) {
+      res.status(404).send('Job not found');
+      return;
+    }
+
+    const artifact = await artifactProxy.getArtifact(
+      buildInfo.pipeline,
+      buildInfo.buildNumber,
+      buildInfo.jobId,
+      buildInfo.artifactId
+    );
+    if (!artifact) {
+      res.status(404).send('Artifact not found');
+      return;
+    }
+
+    log.info('Emitting artifact for', url);
+    await artifactProxy.sendArtifact(req, res, buildInfo.pipeline, buildInfo.buildNumber, artifact);
+  } catch (err) {
+    log.error(`Failed to emit artifact for ${url}:`, err);
+    if (!res.headersSent) {
+      res.status(502).send('Unable to fetch artifact');
+    }
+  }
+}
+
+// Returns the artifacts of the public jobs of a build as an array of
+// {job, artifacts}
+async function publicBuildArtifacts(pipeline, build) {
+  const jobArtifacts = [];
+  for (const job of build.jobs.filter(job => job.name && jobLogIsPublic(job))) {
+    const artifacts = await artifactProxy.listArtifacts(pipeline, build.number, job.id);
+    if (artifacts.length > 0) {
+      jobArtifacts.push({job, artifacts});
+    }
+  }
+  return jobArtifacts;
+}
+
+async function onBuildKitePublicArtifactsRequest(req, res) {
+  const request = parsePublicLogRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const {url, buildInfo} = request;
+
+  const build = await getPublicLogBuild(buildInfo);
+  if (!build) {
+    res.status(404).send('Build not found');
+    return;
+  }
+
+  const jobArtifacts = await publicBuildArtifacts(buildInfo.pipeline, build);
+  let body = html`<i>No public artifacts</i>`;
+  if (jobArtifacts.length > 0) {
+    body = html`
+      <a href="/buildkite_public_artifacts_zip?${build.data.web_url}">Download all as zip</a>
+      ${jobArtifacts.map(({job, artifacts}) => html`
+        <h3>${job.name.replace(/\[public\]/gi, '').trim()}</h3>
+        <ul>
+          ${artifacts.map(artifact => html`
+            <li>
+              <a href="${buildkitePublicArtifactUrl(buildInfo.pipeline, build.number, artifact)}">${artifact.path}</a>
+              (${artifact.file_size} bytes)
+            </li>
+          `)}
+        </ul>
+      `)}
+    `;
+  }
+
+  log.info('Emitting artifact index for', url);
+  sendHtmlPage(res, htmlPage({
+    title: `Artifacts of ${build.message}`,
+    body: html`
+      <h2>Artifacts of ${build.message}</h2>
+      <b>Build:</b> <a href="${buildkitePublicLogUrl(buildInfo.pipeline, build.data.web_url)}">#${build.number}</a></br>
+      ${body}
+    `,
+  }));
+}
+
+async function onBuildKitePublicArtifactsZipRequest(req, res) {
+  const request = parsePublicLogRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const {url, buildInfo} = request;
+
+  const build = await getPublicLogBuild(buildInfo);
+  if (!build) {
+    res.status(404).send('Build not found');
+    return;
+  }
+
+  // Each job's artifacts go in a directory named after the job
+  const entries = [];
+  const directories = new Set();
+  for (const {job, artifacts} of await publicBuildArtifacts(buildInfo.pipeline, build)) {
+    const jobName = job.name.replace(/\[public\]/gi, '').trim().replace(/[\\/:*?"<>|]/g, '_') || 'job';
+    let directory = jobName;
+    for (let n = 2; directories.has(directory); n++) {
+      directory = `${jobName} (${n})`;
+    }
+    directories.add(directory);
+    for (const artifact of artifacts) {
+      entries.push({path: zipEntryPath(directory, artifact.path), artifact});
+    }
+  }
+
+  log.info('Emitting artifact zip for', url);
+  artifactProxy.sendArtifactsZip(
+    res,
+    buildInfo.pipeline,
+    build.number,
+    `${buildInfo.pipeline}-${build.number}-artifacts.zip`,
+    entries
+  );
+}
+
+// Fetch the job named by the `pipeline`, `number` and `jobId` route
+// parameters of a public job log request.  Responds with an error and returns
+// null if its log is not public
+async function getPublicJob(req, res) {
+  const {pipeline: pipelineName, number, jobId} = req.params;
+  if (!pipelineInPublicLogWhitelist(pipelineName) || !/^[1-9][0-9]*$/.test(number)) {
+    res.status(404).send('Job log not found');
+    return null;
+  }
+
+  const pipeline = await getBuildkitePipeline(pipelineName);
+  if (!pipeline) {
+    res.status(404).send('Job log not found');
+    return null;
+  }
+  pipeline.getBuildAsync = promisifyBuildkite(pipeline.getBuild);
+  const build = await pipeline.getBuildAsync(Number(number));
+  const job = build && build.jobs.find(job => job.id === jobId && job.name);
+  if (!job || !jobLogIsPublic(job)) {
+    res.status(404).send('Job log not found');
+    return null;
+  }
+  return {build, job};
+}
+
+async function onBuildKitePublicJobLogTextRequest(req, res) {
+  const request = await getPublicJob(req, res);
+  if (!request) {
+    return;
+  }
+  const {build, job} = request;
+
+  job.getLogAsync = promisifyBuildkite(job.getLog);
+  const jobLog = await job.getLogAsync();
+  const text = stripAnsi((jobLog && jobLog.content) || '');
+  const jobName = job.name.replace(/\[public\]/gi, '').trim();
+  res.type('text/plain');
+  res.set('Content-Disposition', contentDisposition('inline', `${build.number}-${jobName}.log`));
+  res.send(redactor.redactText(text, `log of job ${job.id}`));
+}
+
+// Render lines of a job log, numbered with links to `lineUrl(index)`
+function jobLogLinesHtml(lines, indexes, lineUrl, matches = new Set()) {
+  return indexes.map(index => html`<span
+    class="${matches.has(index) ? 'log-line match' : 'log-line'}"
+    id="L${index + 1}"
+  ><a class="line-number" href="${lineUrl(index)}">${index + 1}</a>${rawHtml(lines[index])}</span>`);
+}
+
+// Paged view of a public job log, which opens at the first error, and search
+// of the log with `q` showing `context` lines around each match
+async function onBuildKitePublicJobLogRequest(req, res) {
+  const request = await getPublicJob(req, res);
+  if (!request) {
+    return;
+  }
+  const {build, job} = request;
+  const {pipeline} = req.params;
+
+  job.getLogHtmlAsync = promisifyBuildkite(job.getLogHtml);
+  const html = redactor.redactHtml((await job.getLogHtmlAsync()) || '', `log of job ${job.id}`);
+  const lines = splitHtmlLines(html.replace(/\n$/, ''));
+  const texts = lines.map(htmlLineText);
+  const pageCount = Math.max(1, Math.ceil(lines.length / JOB_LOG_PAGE_LINES));
+  const pageOf = index => Math.floor(index / JOB_LOG_PAGE_LINES) + 1;
+  const lineUrl = index => `?page=${pageOf(index)}#L${index + 1}`;
+
+  const query = typeof req.query.q === 'string' ? req.query.q : '';
+  if (!query && req.query.page === undefined) {
+    const errorLine = findErrorLine(texts);
+    if (errorLine >= 0) {
+      res.redirect(lineUrl(errorLine));
+      return;
+    }
+  }
+
+  let body;
+  if (query) {
+    const context = Math.min(Math.max(Number(req.query.context) || 0, 0), JOB_LOG_SEARCH_MAX_CONTEXT);
+    const blocks = searchLines(texts, query, context, JOB_LOG_SEARCH_MAX_MATCHES);
+    const matches = new Set();
+    for (const block of blocks) {
+      block.filter(line => line.match).forEach(line => matches.add(line.index));
+    }
+    const limited = matches.size >= JOB_LOG_SEARCH_MAX_MATCHES ? `, showing the first ${matches.size}` : '';
+    body = html`
+      <p>${matches.size} matching lines${limited}</p>
+      ${blocks.map((block, i) => html`
+        ${i > 0 && html`<hr>`}
+        <div class="term-container">${jobLogLinesHtml(lines, block.map(line => line.index), lineUrl, matches)}</div>
+      `)}
+    `;
+  } else {
+    const page = Math.min(Math.max(Math.floor(Number(req.query.page)) || 1, 1), pageCount);
+    const first = (page - 1) * JOB_LOG_PAGE_LINES;
+    const indexes = [];
+    for (let index = first; index < Math.min(first + JOB_LOG_PAGE_LINES, lines.length); index++) {
+      indexes.push(index);
+    }
+
+    const navigation = html`
+      ${page > 1 && html`<a href="?page=${page - 1}">&larr; previous</a> -`}
+      Page ${page} of ${pageCount}
+      ${page < pageCount && html`- <a href="?page=${page + 1}">next &rarr;</a>`}
+    `;
+    body = html`
+      <p>${navigation}</p>
+      <div class="term-container">${jobLogLinesHtml(lines, indexes, lineUrl)}</div>
+      <p>${navigation}</p>
+    `;
+  }
+
+  const jobName = job.name.replace(/\[public\]/gi, '').trim();
+  const jobLogPath = publicJobLogPath(pipeline, build.number, job.id);
+  log.info('Emitting job log for', req.originalUrl);
+  sendHtmlPage(res, htmlPage({
+    title: `${jobName} - ${build.message}`,
+    stylesheets: ['/terminal.css', '/job_log.css'],
+    body: html`
+      <h2>${jobName}</h2>
+      <b>Build:</b> <a href="${buildkitePublicLogUrl(pipeline, build.data.web_url)}">#${build.number}</a>
+        ${build.message}</br>
+      <b>State:</b> <span class="${buildkiteStateClass(job.data.state)}">${job.data.state}</span></br>
+      <b>Log:</b> <a href="${jobLogPath}?page=1">paged</a> - <a href="${jobLogPath}/text">plain text</a></br>
+      <form method="get" action="${jobLogPath}">
+        <input type="search" name="q" value="${query}" placeholder="Search the log">
+        <label>Context lines <input type="number" name="context" min="0" max="${JOB_LOG_SEARCH_MAX_CONTEXT}"
+          value="${req.query.context || '3'}"></label>
+        <button>Search</button>
+      </form>
+      ${body}
+    `,
+  }));
 }
 
-async function onGithubPing(payload) {
-  log.info('Github ping:', payload.zen);
-  await Promise.resolve(); // pacify eslint
+// Wrap a page handler so that failures are reported to the client
+function pageHandler(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      log.error(`Request ${req.originalUrl} failed:`, err);
+      if (!res.headersSent) {
+        res.status(500).send('Internal error');
+      }
+    }
+  };
 }
 
-async function onGithub({id, name, payload}) {
-  try {
-    log.debug('Github webhook:', name, id);
-    log.verbose(payload);
-    const hooks = {
-      'ping': onGithubPing,
-      'pull_request': onGithubPullRequest,
-      'push': onGithubPush,
-      'status': onGithubStatusUpdate,
-      'pull_request_review': onGithubPullRequestReview,
-    };
-    if (hooks[name]) {
-      await hooks[name](payload);
-    } else {
-      log.warn('Unhandled Github webhook:', name);
+// Wrap a JSON API handler so that failures are reported to the client
+function apiHandler(handler) {
+  return async (req, res) => {
+    try {
+      // Clients must revalidate, express answers If-None-Match with a 304
+      // when the ETag of the response is unchanged
+      res.set('Cache-Control', 'no-cache');
+      await handler(req, res);
+    } catch (err) {
+      log.error(`API request ${req.originalUrl} failed:`, err);
+      res.status(500).json({error: 'Internal error'});
     }
-  } catch (err) {
-    log.error(err);
-  }
+  };
 }
 
-function buildkiteActiveState(state) {
-  switch (state) {
-  case 'canceling':
-  case 'canceled':
-  case 'failed':
-  case 'passed':
-  case 'timed_out':
-  case 'waiting_failed':
-    return false;
-  default:
-    return true;
+// Fetch the build named by the `pipeline` and `number` route parameters.
+// Responds with an error and returns null if it is not publicly accessible
+async function getApiBuild(req, res) {
+  const {pipeline: pipelineName, number} = req.params;
+  if (!pipelineInPublicLogWhitelist(pipelineName) || !/^[1-9][0-9]*$/.test(number)) {
+    res.status(404).json({error: 'Build not found'});
+    return null;
+  }
+
+  const pipeline = await getBuildkitePipeline(pipelineName);
+  if (!pipeline) {
+    res.status(404).json({error: 'Build not found'});
+    return null;
+  }
+  pipeline.getBuildAsync = promisifyBuildkite(pipeline.getBuild);
+  const build = await pipeline.getBuildAsync(Number(number));
+  if (!build) {
+    res.status(404).json({error: 'Build not found'});
+    return null;
   }
+  return build;
 }
 
-function buildkiteStateStyle(state) {
-  const colorByState = {
-    accepted: 'gray',
-    assigned: 'gray',
-    blocked: 'gray',
-    canceled: 'red',
-    canceling: 'red',
-    failed: 'red',
-    passed: 'green',
-    running: 'orange',
-    scheduled: 'gray',
-    skipped: 'magenta',
-    timed_out: 'red',
-    waiting: 'gray',
-    waiting_failed: 'red',
+function apiJob(pipelineName, build, job) {
+  const {data} = job;
+  const logPublic = jobLogIsPublic(job);
+  return {
+    id: job.id,
+    name: job.name.replace(/\[public\]/gi, '').trim(),
+    state: data.state,
+    human_time: buildkiteHumanTimeInfo(data),
+    scheduled_at: data.scheduled_at || null,
+    started_at: data.started_at || null,
+    finished_at: data.finished_at || null,
+    exit_status: (data.exit_status === undefined) ? null : data.exit_status,
+    web_url: data.web_url,
+    command: logPublic ? redactor.redactText(job.command || '', `command of job ${job.id}`) : null,
+    log_url: logPublic ?
+      `${envconst.PUBLIC_URL_ROOT}/api/buildkite/${pipelineName}/builds/${build.number}/jobs/${job.id}/log` :
+      null,
   };
-  assert(
-    typeof colorByState[state] === 'string',
-    `Missing state in colorByState: ${state}`
-  );
-  return `font-weight: bold; color: ${colorByState[state]};`;
 }
 
-function buildkiteHumanTimeInfo(buildData) {
-  assert(typeof buildData.state === 'string');
-
-  let description = '';
-  switch (buildData.state) {
-  case 'scheduled':
-  case 'waiting':
-  case 'assigned':
-  case 'accepted':
-  {
-    assert(typeof buildData.scheduled_at === 'string');
-    const scheduledTime = moment.utc(buildData.scheduled_at);
-    scheduledTime.local();
-    description = 'waiting since ' + scheduledTime.format('HH:mm:ss on dddd');
-    break;
-  }
-  case 'blocked':
-  {
-    description = 'blocked';
-    break;
+async function onApiBuildRequest(req, res) {
+  const build = await getApiBuild(req, res);
+  if (!build) {
+    return;
   }
-  case 'timed_out':
-  {
-    description = 'timed out';
-    break;
+  const pipelineName = req.params.pipeline;
+  const {data} = build;
+  res.json({
+    pipeline: pipelineName,
+    number: build.number,
+    state: build.state,
+    active: buildkiteActiveState(build.state),
+    human_time: buildkiteHumanTimeInfo(data),
+    message: build.message,
+    branch: build.branch,
+    commit: data.commit,
+    created_at: data.created_at || null,
+    scheduled_at: data.scheduled_at || null,
+    started_at: data.started_at || null,
+    finished_at: data.finished_at || null,
+    web_url: data.web_url,
+    public_log_url: buildkitePublicLogUrl(pipelineName, data.web_url),
+    jobs: build.jobs.filter(job => job.name).map(job => apiJob(pipelineName, build, job)),
+  });
+}
+
+async function onApiJobsRequest(req, res) {
+  const build = await getApiBuild(req, res);
+  if (!build) {
+    return;
   }
-  case 'waiting_failed':
-  case 'canceling':
-  case 'canceled':
-  {
-    description = 'aborted';
-    break;
+  res.json(build.jobs.filter(job => job.name).map(job => apiJob(req.params.pipeline, build, job)));
+}
+
+async function onApiJobLogRequest(req, res) {
+  const build = await getApiBuild(req, res);
+  if (!build) {
+    return;
   }
-  case 'running':
-  {
-    assert(typeof buildData.scheduled_at === 'string');
-    assert(typeof buildData.started_at === 'string');
-    const startedTime = moment.utc(buildData.started_at);
-    startedTime.local();
-    description = 'running since ' + startedTime.format('HH:mm:ss on dddd');
-    break;
+  const job = build.jobs.find(job => job.id === req.params.jobId && job.name);
+  if (!job || !jobLogIsPublic(job)) {
+    res.status(404).json({error: 'Job log not found'});
+    return;
   }
-  case 'failed':
-  case 'passed':
-  {
-    assert(typeof buildData.scheduled_at === 'string');
-    assert(typeof buildData.started_at === 'string');
-    assert(typeof buildData.finished_at === 'string');
-    const scheduledTime = moment.utc(buildData.scheduled_at);
-    const startedTime = moment.utc(buildData.started_at);
-    const finishedTime = moment.utc(buildData.finished_at);
 
-    scheduledTime.local();
-    startedTime.local();
-    finishedTime.local();
-    const runDuration = moment.duration(finishedTime.diff(startedTime));
-    const waitDuration = moment.duration(startedTime.diff(scheduledTime));
+  job.getLogAsync = promisifyBuildkite(job.getLog);
+  const jobLog = await job.getLogAsync();
+  const text = stripAnsi((jobLog && jobLog.content) || '');
+  res.type('text/plain').send(redactor.redactText(text, `log of job ${job.id}`));
+}
 
-    description = 'ran for ' + runDuration.humanize();
-    if (waitDuration.minutes() > 0) {
-      description += ', queued for ' + waitDuration.humanize();
-    }
-    break;
+async function onApiArtifactsRequest(req, res) {
+  const build = await getApiBuild(req, res);
+  if (!build) {
+    return;
   }
-  default:
-    throw new Error(`Unknown state: ${buildData.state}`);
+
+  const artifacts = [];
+  for (const job of build.jobs.filter(job => job.name && jobLogIsPublic(job))) {
+    const jobArtifacts = await artifactProxy.listArtifacts(req.params.pipeline, build.number, job.id);
+    for (const artifact of jobArtifacts) {
+      artifacts.push({
+        id: artifact.id,
+        job_id: artifact.job_id,
+        path: artifact.path,
+        size: artifact.file_size,
+        sha1sum: artifact.sha1sum,
+        download_url: buildkitePublicArtifactUrl(req.params.pipeline, build.number, artifact),
+      });
+    }
   }
-  return description;
+  res.json(artifacts);
 }
 
-async function onBuildKitePublicLogRequest(req, res) {
-  res.set('Content-Type', 'text/html');
-  const queryIndex = req.originalUrl.indexOf('?');
-  const url = (queryIndex >= 0) ? req.originalUrl.slice(queryIndex + 1) : '';
-  const buildInfo = isBuildkitePublicLogUrl(url);
-  if (!buildInfo) {
-    log.warn(`Invalid public log url:`, url);
-    res.status(400).send('');
-    return;
-  }
+const DASHBOARD_SESSION_COOKIE = 'ci_gate_session';
+const DASHBOARD_OAUTH_STATE_COOKIE = 'ci_gate_oauth_state';
 
-  if (!pipelineInPublicLogWhitelist(buildInfo.pipeline)) {
-    log.warn(`Pipeline is not in whitelist:`, buildInfo.pipeline);
-    res.status(400).send('');
-    return;
+const dashboardSessionSigner = createTokenSigner(
+  envconst.DASHBOARD_SESSION_SECRET,
+  Number(envconst.DASHBOARD_SESSION_SECONDS)
+);
+const dashboardOauthStateSigner = createTokenSigner(envconst.DASHBOARD_SESSION_SECRET, 10 * 60);
+
+function dashboardRepos() {
+  if (envconst.DASHBOARD_REPOS) {
+    return envconst.DASHBOARD_REPOS.split(',');
   }
+  return Object.keys(pipelineMap);
+}
 
-  const pipeline = await getBuildkitePipeline(buildInfo.pipeline);
-  pipeline.listBuildsAsync = promisify(pipeline.listBuilds);
-
-  // TODO: Add pagination support for older builds
-  const builds = await pipeline.listBuildsAsync();
-  const build = builds.find(
-    (build) => {
-      if (typeof buildInfo.buildNumber === 'string') {
-        return build.branch === buildInfo.buildNumber;
-      } else {
-        return build.number === buildInfo.buildNumber;
-      }
-    }
-  );
+function dashboardCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: envconst.PUBLIC_URL_ROOT.startsWith('https:'),
+    path: '/dashboard',
+  };
+}
 
-  if (!build) {
-    let msg = `Build ${buildInfo.buildNumber} not found, try <a href="${url}">here</a> instead.`;
+// Returns the signed in maintainer's session, {login, csrf}, or null
+function dashboardSession(req) {
+  const cookies = parseCookies(req.get('Cookie'));
+  return dashboardSessionSigner.verify(cookies[DASHBOARD_SESSION_COOKIE]);
+}
+
+function onDashboardLoginRequest(req, res) {
+  const state = crypto.randomBytes(16).toString('hex');
+  res.cookie(DASHBOARD_OAUTH_STATE_COOKIE, dashboardOauthStateSigner.sign(state), dashboardCookieOptions());
+  const query = new URLSearchParams({
+    client_id: envconst.GITHUB_OAUTH_CLIENT_ID,
+    redirect_uri: `${envconst.PUBLIC_URL_ROOT}/dashboard/oauth_callback`,
+    state,
+  });
+  res.redirect(`https://github.com/login/oauth/authorize?${query}`);
+}
 
-    // TODO: Add pagination support for older builds
-    msg += '<p>TODO: Add pagination support for older builds';
-    log.warn(msg);
-    res.status(400).send(msg);
+async function onDashboardOauthCallbackRequest(req, res) {
+  const cookies = parseCookies(req.get('Cookie'));
+  const state = dashboardOauthStateSigner.verify(cookies[DASHBOARD_OAUTH_STATE_COOKIE]);
+  if (!state || req.query.state !== state) {
+    res.status(400).send('Sign in expired, please try again');
     return;
   }
 
-  const {provider} = build.data.pipeline;
-  let branchHtml = build.branch;
-  if (provider.id === 'github') {
-    const {repository} = provider.settings;
+  const {data: token} = await axios.post(
+    'https://github.com/login/oauth/access_token',
+    {
+      client_id: envconst.GITHUB_OAUTH_CLIENT_ID,
+      client_secret: envconst.GITHUB_OAUTH_CLIENT_SECRET,
+      code: req.query.code,
+    },
+    {headers: {Accept: 'application/json'}}
+  );
+  if (!token.access_token) {
+    log.warn('Dashboard sign in failed:', token.error);
+    res.status(401).send('Sign in failed');
+    return;
+  }
+  const {data: user} = await axios.get('https://api.github.com/user', {
+    headers: {Authorization: `Bearer ${token.access_token}`},
+  });
 
-    const prMatch = build.branch.match(/^pull\/([1-9[0-9]+)\/head$/);
-    if (prMatch) {
-      const prNumber = prMatch[1];
-      branchHtml = `
-        <a
-          href="https://github.com/${repository}/pull/${prNumber}"
-        >#${prNumber}</a>
-      `;
-    } else {
-      branchHtml = `
-        <a
-          href="https://github.com/${repository}/tree/${build.branch}"
-        >${branchHtml}</a>
-      `;
-    }
-  }
-
-  const jobs = build.jobs.filter((job) => job.name);
-
-  let spinnerHtml = '';
-  if (buildkiteActiveState(build.state)) {
-    spinnerHtml = `<img style='vertical-align:middle;' src='spinner.gif'>`;
-  }
-
-  let header = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>${build.message}</title>
-      <link rel="stylesheet" type="text/css" href="/terminal.css" />
-    </head>
-    <body>
-    <h2>${spinnerHtml} ${build.message}</h2>
-    <b>State:</b>
-      <span style="${buildkiteStateStyle(build.state)}">
-        ${build.state}
-      </span>
-      - <i>${buildkiteHumanTimeInfo(build.data)}</i>
-      <br/>
-    <b>Branch:</b> ${branchHtml}</br>
-    <b>Buildkite Log:</b> <a href="${build.data.web_url}"/>link</a></br>
-  `;
-  let body = '';
-  const footer = '</body></html>';
-
-  if (jobs.length > 0) {
-    const brief = jobs.length === 1;
-
-    if (!brief) {
-      header += `
-        <b>Steps:</b>
-        <ol>
-      `;
-      body += '</ol>';
-    }
-    let jobSpinnerRendered = false;
-    for (let job of jobs) {
-      const jobName = job.name.replace(/\[public\]/gi, '').trim();
-      const jobNameUri = encodeURI(jobName);
-      job.getLogHtmlAsync = promisify(job.getLogHtml);
-      const jobHumanTime = buildkiteHumanTimeInfo(job.data);
-
-      let jobLog = '<br><i>Build log not available</i><br>';
-      let artifacts;
-      if (envconst.BUILDKITE_EXPOSE_ALL_JOB_LOGS || job.name.includes('[public]')) {
-        const html = await job.getLogHtmlAsync();
-        if (html) {
-          jobLog = `<div class="term-container">${html}</div>`;
-        }
+  log.info(`${user.login} signed in to the dashboard`);
+  const session = {login: user.login, csrf: crypto.randomBytes(16).toString('hex')};
+  res.clearCookie(DASHBOARD_OAUTH_STATE_COOKIE, dashboardCookieOptions());
+  res.cookie(DASHBOARD_SESSION_COOKIE, dashboardSessionSigner.sign(session), dashboardCookieOptions());
+  res.redirect('/dashboard');
+}
 
-        job.listArtifactsAsync = promisify(job.listArtifacts);
-        const jobArtifacts = await job.listArtifactsAsync();
+function onDashboardLogoutRequest(req, res) {
+  res.clearCookie(DASHBOARD_SESSION_COOKIE, dashboardCookieOptions());
+  res.redirect('/');
+}
 
-        if (jobArtifacts.length > 0) {
-          artifacts = jobArtifacts.map(a => {
-            const url = envconst.PUBLIC_URL_ROOT + '/buildkite_public_artifact?' +
-              `https://api.buildkite.com/v2/organizations/${envconst.BUILDKITE_ORG_SLUG}/pipelines/${buildInfo.pipeline}/builds/${build.number}/jobs/${a.jobId}/artifacts/${a.id}/download`;
-            return `<li><a href="${url}" target="_blank">${a.path}</a> (${a.size} bytes)</li>`;
-          }).join('');
-          artifacts = `<ul>${artifacts}</ul>`;
-        }
+// Returns the open pull requests of a repo whose `ci-gate` status is pending,
+// along with the files they change
+async function pullRequestsAwaitingCi(repoName) {
+  const repo = githubClient.repo(repoName);
+  const pulls = await githubListAsync(`/repos/${repoName}/pulls`, {state: 'open'});
+  const awaiting = [];
+  for (const pr of pulls) {
+    const [status] = await repo.combinedStatusAsync(pr.head.sha);
+    const ciGate = status.statuses.find(s => s.context === STATUS_CONTEXT);
+    if (!ciGate || ciGate.state !== 'pending') {
+      continue;
+    }
+    let config;
+    try {
+      config = await getRepoConfig(repoName, pr.base.ref);
+    } catch (err) {
+      if (!isInvalidRepoConfigError(err)) {
+        throw err;
       }
+      log.warn(`Not listing ${repoName}#${pr.number} on the dashboard:`, err.message);
+      continue;
+    }
+    const files = await pullRequestFiles(repoName, pr.number);
+    awaiting.push({
+      pr,
+      description: ciGate.description,
+      files,
+      protectedFiles: files.filter(createPathMatcher(config.protectedPaths)),
+    });
+  }
+  return awaiting;
+}
 
-      if (!jobSpinnerRendered && buildkiteActiveState(job.data.state)) {
-        jobSpinnerRendered = true;
-        jobLog += `
-          <img style='vertical-align:middle;' src='spinner.gif'>
-          <div style='color:orange; vertical-align:middle; display:inline;'>
-            <i>Job active, refresh page manually for updates...</i>
-          </div>
-        `;
-      }
+async function onDashboardRequest(req, res) {
+  const session = dashboardSession(req);
+  if (!session) {
+    res.redirect('/dashboard/login');
+    return;
+  }
 
-      if (!brief) {
-        header += `
-          <li>
-            <span style="${buildkiteStateStyle(job.data.state)}">
-              ${job.data.state}
-            </span>
-            - <a href="#${jobNameUri}">${jobName}</a>
-            - <i>${jobHumanTime}</i>
-        `;
-        if (artifacts) {
-          header += `
-            <br>
-            ${artifacts}
-          `;
-        }
-        header += `
-          </li>
-        `;
-        body += `
-          <hr><h3><a name="${jobNameUri}">${jobName}</a></h3>
-          <b>State:</b>
-            <span style="${buildkiteStateStyle(job.data.state)}">
-              ${job.data.state}
-            </span>
-            - <i>${jobHumanTime}</i>
-          <br/>
-          <b>Buildkite Log:</b> <a href="${job.data.web_url}"/>link</a></br>
-        `;
-      }
-      if (artifacts) {
-        body += `
-          <b>Artifacts:</b>
-          ${artifacts}
-        `;
-      }
-      body += `
-        <b>Command:</b> <code>${job.command}</code></br>
-        ${jobLog}
-      `;
+  const repos = [];
+  for (const repoName of dashboardRepos()) {
+    if (await userHasWriteAccess(repoName, session.login)) {
+      repos.push({repoName, awaiting: await pullRequestsAwaitingCi(repoName)});
     }
   }
 
-  log.info('Emitting log for', url);
-  res.send(header + body + footer);
+  const pullRequestRow = (repoName, {pr, description, files, protectedFiles}) => html`
+    <tr>
+      <td><a href="${pr.html_url}">#${pr.number}</a> ${pr.title}</td>
+      <td>${pr.user.login}</td>
+      <td>${moment(pr.created_at).fromNow(true)}</td>
+      <td>
+        ${description}
+        ${protectedFiles.length > 0 && html`
+          <div class="warning">Changes protected paths: ${protectedFiles.join(', ')}</div>
+        `}
+      </td>
+      <td>
+        <details>
+          <summary>${files.length} files</summary>
+          <ul>${files.map(file => html`<li>${file}</li>`)}</ul>
+        </details>
+      </td>
+      <td>
+        <form method="post" action="/dashboard/action">
+          <input type="hidden" name="csrf" value="${session.csrf}">
+          <input type="hidden" name="repo" value="${repoName}">
+          <input type="hidden" name="pr" value="${pr.number}">
+          <input type="hidden" name="sha" value="${pr.head.sha}">
+          <button name="action" value="approve">Approve CI for ${pr.head.sha.substring(0, 8)}</button>
+          <button name="action" value="noci">Apply noCI</button>
+        </form>
+      </td>
+    </tr>
+  `;
+
+  sendHtmlPage(res, htmlPage({
+    title: 'ci-gate dashboard',
+    body: html`
+      <h2>Pull requests awaiting CI</h2>
+      Signed in as ${session.login} - <a href="/dashboard/logout">sign out</a>
+      ${typeof req.query.message === 'string' && html`<p><b>${req.query.message}</b></p>`}
+      ${repos.map(({repoName, awaiting}) => html`
+        <h3>${repoName}</h3>
+        ${awaiting.length === 0 ? html`<i>No pull requests awaiting CI</i>` : html`
+          <table>
+            <tr><th>Pull Request</th><th>Author</th><th>Age</th><th>Status</th><th>Files</th><th></th></tr>
+            ${awaiting.map(entry => pullRequestRow(repoName, entry))}
+          </table>
+        `}
+      `)}
+    `,
+  }));
 }
 
-async function onBuildKitePublicArtifactRequest(req, res) {
-  const queryIndex = req.originalUrl.indexOf('?');
-  const url = (queryIndex >= 0) ? req.originalUrl.slice(queryIndex + 1) : '';
+async function onDashboardActionRequest(req, res) {
+  const session = dashboardSession(req);
+  if (!session || !tokenMatches(req.body.csrf, session.csrf)) {
+    res.status(403).send('Forbidden');
+    return;
+  }
 
-  const buildInfo = isBuildkitePublicArtifactUrl(url);
-  if (!buildInfo) {
-    log.warn(`Invalid public artifact url:`, url);
-    res.status(400).send('');
+  const {repo: repoName, sha, action} = req.body;
+  const prNumber = Number(req.body.pr);
+  const dashboardActions = {
+    approve: onSlashCommandCi,
+    noci: onSlashCommandNoCi,
+  };
+  if (!dashboardActions.hasOwnProperty(action) || !dashboardRepos().includes(repoName) ||
+      !Number.isInteger(prNumber)) {
+    res.status(400).send('Bad request');
     return;
   }
-  if (!pipelineInPublicLogWhitelist(buildInfo.pipeline)) {
-    log.warn(`Pipeline is not in whitelist:`, buildInfo.pipeline);
-    res.status(400).send('');
+  if (!await userHasWriteAccess(repoName, session.login)) {
+    res.status(403).send('Forbidden');
     return;
   }
 
-  const pipeline = await getBuildkitePipeline(buildInfo.pipeline);
-  pipeline.getBuildAsync = promisify(pipeline.getBuild);
-
-  const build = await pipeline.getBuildAsync(buildInfo.buildNumber);
-  build.getArtifactAsync = promisify(build.getArtifact);
-
-  const job = build.jobs.find(j => j.id === buildInfo.jobId);
-
-  job.listArtifactsAsync = promisify(job.listArtifacts);
-  const jobArtifacts = await job.listArtifactsAsync();
+  log.info(`Dashboard ${action} from ${session.login} on ${repoName}#${prNumber}`);
+  let rejection;
+  const [pr] = await githubClient.repo(repoName).pr(prNumber).infoAsync();
+  if (pr.state !== 'open') {
+    rejection = 'This pull request is not open';
+  } else if (pr.head.sha !== sha) {
+    // Approval applies to the commit the maintainer reviewed
+    rejection = 'New commits were pushed since the dashboard was loaded';
+  } else {
+    const config = await getPullRequestConfig(repoName, pr.base.ref, pr.head.sha);
+    rejection = config ? await dashboardActions[action]({
+      repoName,
+      prNumber,
+      pr,
+      config,
+      user: session.login,
+      args: [],
+    }) : `The ${REPO_CONFIG_PATH} of ${pr.base.ref} is invalid`;
+  }
 
-  const artifact = jobArtifacts.find(a => a.id === buildInfo.artifactId);
-  artifact.getDownloadUrlAsync = promisify(artifact.getDownloadUrl);
+  const done = action === 'approve' ? 'Approved CI for' : 'Applied noCI to';
+  const message = rejection ?
+    `${repoName}#${prNumber} was not updated: ${rejection}` :
+    `${done} ${repoName}#${prNumber}`;
+  res.redirect(303, `/dashboard?${new URLSearchParams({message})}`);
+}
 
-  const artifactUrl = await artifact.getDownloadUrlAsync();
+// Count the requests served by a public route once they complete
+function countPublicRequests(kind) {
+  return (req, res, next) => {
+    res.on('finish', () => publicRequests.inc({kind, status: res.statusCode}));
+    next();
+  };
+}
 
-  log.info('Emitting artifact for', url);
-  res.writeHead(302, {
-    'Location': artifactUrl
-  });
-  res.end();
+async function onMetricsRequest(req, res) {
+  if (webhookQueue) {
+    webhookDeadLetters.set(webhookQueue.deadLetters().length);
+  }
+  res.set('Content-Type', metricsRegister.contentType);
+  res.send(await metricsRegister.metrics());
 }
 
-function main() {
+async function main() {
   try {
+    webhookQueue = await openWebhookQueue({
+      directory: envconst.WEBHOOK_QUEUE_DIR,
+      handler: handleGithubEvent,
+      maxAttempts: Number(envconst.WEBHOOK_MAX_ATTEMPTS),
+      retryBaseSeconds: Number(envconst.WEBHOOK_RETRY_SECONDS),
+      dedupeSeconds: Number(envconst.WEBHOOK_DEDUPE_SECONDS),
+    });
+
     const webhooks = new WebhooksApi({
       secret: envconst.GITHUB_WEBHOOK_SECRET,
       path: '/github',
@@ -956,8 +3247,66 @@ function main() {
     const app = express();
     app.use(webhooks.middleware);
     app.use(express.static(path.join(__dirname, 'public_html')));
-    app.get('/buildkite_public_log', onBuildKitePublicLogRequest);
-    app.get('/buildkite_public_artifact', onBuildKitePublicArtifactRequest);
+    app.get('/metrics', apiHandler(onMetricsRequest));
+    app.get('/buildkite_public_log', countPublicRequests('log'), pageHandler(onBuildKitePublicLogRequest));
+    app.get(
+      '/buildkite_public_log_events',
+      countPublicRequests('log_events'),
+      pageHandler(onBuildKitePublicLogEventsRequest)
+    );
+    app.get('/buildkite_public_artifact', countPublicRequests('artifact'), onBuildKitePublicArtifactRequest);
+    app.get(
+      '/buildkite_public_artifacts',
+      countPublicRequests('artifacts'),
+      pageHandler(onBuildKitePublicArtifactsRequest)
+    );
+    app.get(
+      '/buildkite_public_artifacts_zip',
+      countPublicRequests('artifacts_zip'),
+      pageHandler(onBuildKitePublicArtifactsZipRequest)
+    );
+    app.get(
+      '/buildkite_public_job_log/:pipeline/:number/:jobId',
+      countPublicRequests('job_log'),
+      pageHandler(onBuildKitePublicJobLogRequest)
+    );
+    app.get(
+      '/buildkite_public_job_log/:pipeline/:number/:jobId/text',
+      countPublicRequests('job_log_text'),
+      pageHandler(onBuildKitePublicJobLogTextRequest)
+    );
+    app.use('/api/buildkite', countPublicRequests('api'));
+    app.get('/api/buildkite/:pipeline/builds/:number', apiHandler(onApiBuildRequest));
+    app.get('/api/buildkite/:pipeline/builds/:number/jobs', apiHandler(onApiJobsRequest));
+    app.get('/api/buildkite/:pipeline/builds/:number/jobs/:jobId/log', apiHandler(onApiJobLogRequest));
+    app.get('/api/buildkite/:pipeline/builds/:number/artifacts', apiHandler(onApiArtifactsRequest));
+    if (envconst.BUILDKITE_WEBHOOK_TOKEN) {
+      app.post('/buildkite', bodyParser.json({limit: '5mb'}), onBuildkiteWebhook);
+    } else {
+      log.warn('BUILDKITE_WEBHOOK_TOKEN not defined, /buildkite webhook disabled');
+    }
+    if (envconst.GITHUB_OAUTH_CLIENT_ID && envconst.GITHUB_OAUTH_CLIENT_SECRET &&
+        envconst.DASHBOARD_SESSION_SECRET) {
+      app.get('/dashboard', pageHandler(onDashboardRequest));
+      app.get('/dashboard/login', onDashboardLoginRequest);
+      app.get('/dashboard/oauth_callback', pageHandler(onDashboardOauthCallbackRequest));
+      app.get('/dashboard/logout', onDashboardLogoutRequest);
+      app.post(
+        '/dashboard/action',
+        bodyParser.urlencoded({extended: false}),
+        pageHandler(onDashboardActionRequest)
+      );
+    } else {
+      log.warn('Github OAuth app or DASHBOARD_SESSION_SECRET not defined, /dashboard disabled');
+    }
+    if (envconst.WEBHOOK_ADMIN_TOKEN) {
+      app.get('/webhooks/dead_letters', requireWebhookAdminToken, onWebhookDeadLettersRequest);
+      app.post(
+        '/webhooks/dead_letters/:id/replay',
+        requireWebhookAdminToken,
+        apiHandler(onWebhookDeadLetterReplayRequest)
+      );
+    }
 
     app.listen(envconst.PORT, () => log.info(`Listening on ${envconst.PORT}`));
   } catch (err) {
@@ -966,4 +3315,77 @@ function main() {
   }
 }
 
-main();
+/*
+   Run a saved Github webhook event through onGithub, logging the decisions
+   made and printing the writes to Github and CI systems that would be made,
+   which are recorded instead.  `args` are a payload file and the event name,
+   or the delivery id of an unhandled event in the webhook queue.  Reads still
+   go to Github and Buildkite.
+ */
+async function dryRun(args) {
+  const configIndex = args.indexOf(DRY_RUN_CONFIG_FLAG);
+  const configFile = configIndex === -1 ? null : args[configIndex + 1];
+  if (configIndex !== -1) {
+    args.splice(configIndex, 2);
+  }
+  const [source, eventName] = args;
+  if (!source || (configIndex !== -1 && !configFile)) {
+    throw new Error(
+      `Usage: index.js ${DRY_RUN_FLAG} [${DRY_RUN_CONFIG_FLAG} <config file>] ` +
+      '<payload file> <event name> | <delivery id>'
+    );
+  }
+  if (!envconst.GITHUB_TOKEN) {
+    throw new Error('A dry run reads from Github with GITHUB_TOKEN, which is not defined');
+  }
+  if (configFile) {
+    // Try out a config file before committing it
+    log.info(`Using ${configFile} as the ${REPO_CONFIG_PATH} of every repo`);
+    getRepoConfig.override(await fs.readFile(configFile, 'utf8'));
+  }
+
+  let event;
+  if (await fs.pathExists(source)) {
+    if (!eventName) {
+      throw new Error(`Event name of ${source} not given, such as pull_request`);
+    }
+    event = {id: `dry-run-${Date.now()}`, name: eventName, payload: await fs.readJson(source)};
+  } else {
+    const queued = await readWebhookEvent(envconst.WEBHOOK_QUEUE_DIR, source);
+    if (!queued) {
+      throw new Error(`${source} is neither a payload file nor an event in ${envconst.WEBHOOK_QUEUE_DIR}`);
+    }
+    if (!queued.payload) {
+      throw new Error(`Event ${source} was already handled, its payload is no longer kept`);
+    }
+    event = {id: queued.id, name: eventName || queued.name, payload: queued.payload};
+  }
+
+  // Handle the event right away instead of persisting it
+  webhookQueue = {
+    enqueue: async queuedEvent => {
+      await handleGithubEvent(queuedEvent);
+      return true;
+    },
+    deadLetters: () => [],
+  };
+  log.info(`Dry run of Github ${event.name} event ${event.id}`);
+  try {
+    await onGithub(event);
+  } finally {
+    console.log(dryRunRecorder.report());
+  }
+}
+
+if (dryRunRecorder) {
+  // Exit without waiting for merge queue retries and other timers
+  dryRun(process.argv.slice(3)).then(
+    () => process.exit(0),
+    err => {
+      log.error(err);
+      process.exit(1);
+    }
+  );
+} else {
+  main();
+}
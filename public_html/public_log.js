@@ -0,0 +1,53 @@
+// Live updates of the public log page of an active build
+(function () {
+  var eventsUrl = document.querySelector('main').getAttribute('data-events-url');
+  if (!eventsUrl) {
+    return;
+  }
+  var source = new EventSource(eventsUrl);
+
+  function each(selector, fn) {
+    Array.prototype.forEach.call(document.querySelectorAll(selector), fn);
+  }
+
+  function update(name, data) {
+    each('[data-state="' + name + '"]', function (el) {
+      el.textContent = data.state;
+      el.className = data.stateClass;
+    });
+    each('[data-time="' + name + '"]', function (el) {
+      el.textContent = data.humanTime;
+    });
+  }
+
+  source.addEventListener('build', function (e) {
+    update('build', JSON.parse(e.data));
+  });
+  source.addEventListener('job', function (e) {
+    var data = JSON.parse(e.data);
+    update('job-' + data.id, data);
+    if (!data.active) {
+      each('[data-active="job-' + data.id + '"]', function (el) {
+        el.parentNode.removeChild(el);
+      });
+    }
+  });
+  source.addEventListener('log', function (e) {
+    var data = JSON.parse(e.data);
+    var el = document.getElementById('job-log-' + data.id);
+    if (!el) {
+      return;
+    }
+    if (data.replace) {
+      el.innerHTML = data.html;
+    } else {
+      el.insertAdjacentHTML('beforeend', '\n' + data.html);
+    }
+  });
+  source.addEventListener('end', function () {
+    source.close();
+    each('[data-active]', function (el) {
+      el.parentNode.removeChild(el);
+    });
+  });
+})();
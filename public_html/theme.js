@@ -0,0 +1,45 @@
+// Applies the theme picked by the reader, overriding the browser's
+// preference.  Loaded in <head> so the page is not first drawn in the wrong
+// theme
+(function () {
+  var STORAGE_KEY = 'ci-gate-theme';
+  var root = document.documentElement;
+
+  function storedTheme() {
+    try {
+      return localStorage.getItem(STORAGE_KEY) || 'auto';
+    } catch (e) {
+      return 'auto';
+    }
+  }
+
+  function applyTheme(theme) {
+    if (theme === 'light' || theme === 'dark') {
+      root.setAttribute('data-theme', theme);
+    } else {
+      root.removeAttribute('data-theme');
+    }
+    Array.prototype.forEach.call(document.querySelectorAll('[data-theme-choice]'), function (button) {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-theme-choice') === theme));
+    });
+  }
+
+  root.className += ' js';
+  applyTheme(storedTheme());
+
+  document.addEventListener('DOMContentLoaded', function () {
+    applyTheme(storedTheme());
+  });
+  document.addEventListener('click', function (e) {
+    var theme = e.target.getAttribute && e.target.getAttribute('data-theme-choice');
+    if (!theme) {
+      return;
+    }
+    try {
+      localStorage.setItem(STORAGE_KEY, theme);
+    } catch (err) {
+      // Storage may be disabled, the theme then lasts for this page only
+    }
+    applyTheme(theme);
+  });
+})();
@@ -0,0 +1,128 @@
+import ignore from 'ignore';
+
+// Locations Github searches for a CODEOWNERS file, in order
+export const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+// Review author associations whose reviews count towards approval
+const REVIEWER_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+/*
+   Parse a CODEOWNERS file into a list of rules of the form
+   {pattern, owners, matcher}, in file order
+ */
+export function parseCodeowners(text) {
+  const rules = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (line.length === 0) {
+      continue;
+    }
+    const [pattern, ...owners] = line.split(/\s+/);
+    rules.push({
+      pattern,
+      owners: owners.filter(owner => owner.startsWith('@')),
+      matcher: ignore().add(pattern),
+    });
+  }
+  return rules;
+}
+
+// Returns the owners of a path, as determined by the last matching rule
+export function codeownersForPath(rules, path) {
+  for (let index = rules.length - 1; index >= 0; --index) {
+    if (rules[index].matcher.ignores(path)) {
+      return rules[index].owners;
+    }
+  }
+  return [];
+}
+
+// Returns the latest approving or change requesting review of each reviewer
+// whose review counts, keyed by reviewer login
+export function latestReviews(reviews) {
+  const latest = new Map();
+  for (const review of reviews) {
+    if (!REVIEWER_ASSOCIATIONS.includes(review.author_association)) {
+      continue;
+    }
+    if (!['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(review.state)) {
+      continue;
+    }
+    const previous = latest.get(review.user.login);
+    if (!previous || review.id > previous.id) {
+      latest.set(review.user.login, review);
+    }
+  }
+  for (const [login, review] of latest) {
+    if (review.state === 'DISMISSED') {
+      latest.delete(login);
+    }
+  }
+  return latest;
+}
+
+/*
+   Evaluate the approval rules of a repo config against the reviews of a pull
+   request.  `isOwner(login, owner)` resolves whether a user is, or is a member
+   of, a CODEOWNERS owner such as `@user` or `@org/team`.
+
+   Returns a list of human readable descriptions of the approvals that are still
+   missing, which is empty when the pull request is approved.
+ */
+export async function missingApprovals({config, reviews, files, codeownersRules, isOwner}) {
+  const missing = [];
+  const latest = latestReviews(reviews);
+  const approvers = [...latest.values()]
+  .filter(review => review.state === 'APPROVED')
+  .map(review => review.user.login);
+
+  if (config.blockOnChangesRequested) {
+    for (const review of latest.values()) {
+      if (review.state === 'CHANGES_REQUESTED') {
+        missing.push(`changes requested by @${review.user.login}`);
+      }
+    }
+  }
+
+  if (approvers.length < config.requiredApprovals) {
+    const count = config.requiredApprovals - approvers.length;
+    missing.push(`${count} more approving review${count === 1 ? '' : 's'}`);
+  }
+
+  if (config.requireCodeOwnerApproval) {
+    // Group the touched paths by their owners so each owner set is resolved once
+    const pathsByOwners = new Map();
+    for (const file of files) {
+      const owners = codeownersForPath(codeownersRules, file);
+      if (owners.length === 0) {
+        continue;
+      }
+      const key = owners.join(' ');
+      if (!pathsByOwners.has(key)) {
+        pathsByOwners.set(key, {owners, paths: []});
+      }
+      pathsByOwners.get(key).paths.push(file);
+    }
+
+    for (const {owners, paths} of pathsByOwners.values()) {
+      let approved = false;
+      for (const approver of approvers) {
+        for (const owner of owners) {
+          if (await isOwner(approver, owner)) {
+            approved = true;
+            break;
+          }
+        }
+        if (approved) {
+          break;
+        }
+      }
+      if (!approved) {
+        const what = paths.length === 1 ? paths[0] : `${paths.length} files`;
+        missing.push(`code owner approval from ${owners.join(' or ')} for ${what}`);
+      }
+    }
+  }
+
+  return missing;
+}
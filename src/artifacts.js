@@ -0,0 +1,159 @@
+import {pipeline as pipeStreams} from 'stream';
+import axios from 'axios';
+import createLogger from 'silk-log';
+import yazl from 'yazl';
+
+const log = createLogger('artifacts');
+
+const ARTIFACTS_PER_PAGE = 100;
+
+// Headers of an artifact download that are passed on to the client
+const FORWARDED_HEADERS = ['content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified'];
+
+// Returns a Content-Disposition header value for a file name, which may hold
+// any characters
+export function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Returns the path of a zip entry under `directory` for an artifact path,
+// dropping any parts that would place it outside the directory
+export function zipEntryPath(directory, artifactPath) {
+  const parts = artifactPath.split(/[\\/]+/).filter(part => part && part !== '.' && part !== '..');
+  return [directory, ...parts].join('/');
+}
+
+/*
+   Streams Buildkite build artifacts through ci-gate, so that links to them do
+   not expire like the signed URLs Buildkite hands out.  Artifacts are the
+   objects of the Buildkite REST API.
+
+   `buildkiteRequestAsync(method, apiPath, options)` issues requests against
+   the Buildkite organization.
+ */
+export function createArtifactProxy(buildkiteRequestAsync) {
+  function jobPath(pipeline, buildNumber, jobId) {
+    return `/pipelines/${pipeline}/builds/${buildNumber}/jobs/${encodeURIComponent(jobId)}`;
+  }
+
+  // Resolves the finished artifacts of a job
+  async function listArtifacts(pipeline, buildNumber, jobId) {
+    const artifacts = [];
+    for (let page = 1; ; page++) {
+      const response = await buildkiteRequestAsync('get', `${jobPath(pipeline, buildNumber, jobId)}/artifacts`, {
+        params: {page, per_page: ARTIFACTS_PER_PAGE},
+      });
+      artifacts.push(...response.data.filter(artifact => artifact.state === 'finished'));
+      if (response.data.length < ARTIFACTS_PER_PAGE) {
+        return artifacts;
+      }
+    }
+  }
+
+  // Resolves an artifact of a job, or null if there is no such finished
+  // artifact
+  async function getArtifact(pipeline, buildNumber, jobId, artifactId) {
+    let response;
+    try {
+      response = await buildkiteRequestAsync(
+        'get',
+        `${jobPath(pipeline, buildNumber, jobId)}/artifacts/${encodeURIComponent(artifactId)}`
+      );
+    } catch (err) {
+      if (err.response && err.response.status === 404) {
+        return null;
+      }
+      throw err;
+    }
+    return response.data.state === 'finished' ? response.data : null;
+  }
+
+  // Resolves a response streaming the content of an artifact, from a short
+  // lived signed URL
+  async function openArtifact(pipeline, buildNumber, artifact, range) {
+    const download = await buildkiteRequestAsync(
+      'get',
+      `${jobPath(pipeline, buildNumber, artifact.job_id)}/artifacts/${artifact.id}/download`,
+      {maxRedirects: 0, validateStatus: status => status === 302}
+    );
+    const url = download.headers.location || download.data.url;
+    return axios.get(url, {
+      responseType: 'stream',
+      headers: range ? {Range: range} : {},
+      validateStatus: status => status === 200 || status === 206 || status === 416,
+    });
+  }
+
+  // Respond to a request with the content of an artifact, supporting Range
+  // requests
+  async function sendArtifact(req, res, pipeline, buildNumber, artifact) {
+    const upstream = await openArtifact(pipeline, buildNumber, artifact, req.get('Range'));
+    res.status(upstream.status);
+    for (const name of FORWARDED_HEADERS) {
+      if (upstream.headers[name] !== undefined) {
+        res.set(name, upstream.headers[name]);
+      }
+    }
+    res.set({
+      'Content-Type': artifact.mime_type || 'application/octet-stream',
+      'Content-Disposition': contentDisposition('inline', artifact.filename),
+      // Artifacts are untrusted content, keep HTML artifacts from running
+      // scripts as ci-gate
+      'Content-Security-Policy': 'sandbox',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    if (req.method === 'HEAD') {
+      upstream.data.destroy();
+      res.end();
+      return;
+    }
+    pipeStreams(upstream.data, res, err => {
+      if (err) {
+        log.warn(`Streaming artifact ${artifact.id} ended early:`, err.message);
+      }
+    });
+  }
+
+  /*
+     Respond with a zip file of artifacts, given as an array of
+     {path, artifact} where `path` is the path of the artifact in the zip file.
+     Artifacts are downloaded one at a time as the zip file is written.
+   */
+  function sendArtifactsZip(res, pipeline, buildNumber, filename, entries) {
+    const zipFile = new yazl.ZipFile();
+    let current = null;
+
+    zipFile.on('error', err => {
+      log.error(`Failed to zip artifacts of ${pipeline} build #${buildNumber}:`, err);
+      res.destroy(err);
+    });
+    res.on('close', () => {
+      if (current && !res.writableFinished) {
+        current.destroy();
+      }
+    });
+
+    for (const {path, artifact} of entries) {
+      zipFile.addReadStreamLazy(path, {size: artifact.file_size}, callback => {
+        openArtifact(pipeline, buildNumber, artifact).then(
+          upstream => {
+            current = upstream.data;
+            current.on('error', err => zipFile.emit('error', err));
+            callback(null, current);
+          },
+          callback
+        );
+      });
+    }
+    zipFile.end();
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': contentDisposition('attachment', filename),
+    });
+    zipFile.outputStream.pipe(res);
+  }
+
+  return {getArtifact, listArtifacts, sendArtifact, sendArtifactsZip};
+}
@@ -0,0 +1,252 @@
+import axios from 'axios';
+import createLogger from 'silk-log';
+
+import {observeApiRequest} from './metrics';
+
+const log = createLogger('ciBackends');
+
+/*
+   CI backends create and cancel the builds of pipelines.  They do not report
+   the results of builds: the CI system must post the commit status named by
+   statusContext(spec), replacing the pending status set when the build is
+   created.  Each pipeline spec names its backend, and each backend is an
+   object of the form:
+     {
+       // Name of the commit status that reports the result of the spec's
+       // builds on the built commit
+       statusContext(spec),
+
+       // Create a build, returning {id, url, description} for the pending
+       // status of the build.  `id` and `url` may be null.  `build` is of the
+       // form {repoName, branch, commit, message, metaData, env, baseBranch}
+       async createBuild(spec, build),
+
+       // Cancel a build created by createBuild() given {id, commit}, returning
+       // false if it could not be canceled
+       async cancelBuild(spec, repoName, build),
+
+       // Cancel all unfinished builds of a commit, returning how many were
+       // canceled
+       async cancelBuilds(spec, repoName, commit),
+     }
+ */
+
+export function buildkiteStatusContext(pipeline) {
+  return `buildkite/${pipeline}`;
+}
+
+/*
+   Builds run in Buildkite pipelines named by `spec.pipeline`.
+   `buildkiteRequestAsync(method, apiPath, options)` issues requests against
+   the Buildkite organization, and `publicLogUrl(pipeline, webUrl)` returns the
+   URL to link build statuses to.
+ */
+export function createBuildkiteBackend(buildkiteRequestAsync, publicLogUrl) {
+  async function createBuild(spec, {repoName, branch, commit, message, metaData, env, baseBranch}) {
+    const data = {
+      branch,
+      commit,
+      message,
+      meta_data: Object.assign({}, spec.metaData, metaData, {
+        'github_repo': repoName,
+      }),
+      env: Object.assign({}, spec.env, env),
+      pull_request_base_branch: baseBranch,
+    };
+    const response = await buildkiteRequestAsync('post', `/pipelines/${spec.pipeline}/builds`, {data});
+    const build = response.data;
+    return {
+      id: build.number,
+      url: publicLogUrl(spec.pipeline, build.web_url),
+      description: `Build #${build.number} created`,
+    };
+  }
+
+  async function cancelBuild(spec, repoName, {id}) {
+    try {
+      await buildkiteRequestAsync('put', `/pipelines/${spec.pipeline}/builds/${id}/cancel`);
+      return true;
+    } catch (err) {
+      // Includes builds that already finished
+      log.warn(`Failed to cancel ${spec.pipeline} build #${id}:`, err.message);
+      return false;
+    }
+  }
+
+  async function cancelBuilds(spec, repoName, commit) {
+    const response = await buildkiteRequestAsync('get', `/pipelines/${spec.pipeline}/builds`, {
+      params: {
+        commit,
+        state: ['scheduled', 'running', 'blocked'],
+      },
+    });
+
+    let canceled = 0;
+    for (const build of response.data) {
+      log.info(`Canceling ${spec.pipeline} build #${build.number} for ${commit}`);
+      if (await cancelBuild(spec, repoName, {id: build.number, commit})) {
+        canceled++;
+      }
+    }
+    return canceled;
+  }
+
+  return {
+    // Build statuses are reported by the /buildkite webhook under a fixed name
+    statusContext: spec => buildkiteStatusContext(spec.pipeline),
+    createBuild,
+    cancelBuild,
+    cancelBuilds,
+  };
+}
+
+// Github Actions run states of runs that have not finished
+const ACTIONS_ACTIVE_STATUSES = ['queued', 'in_progress', 'waiting', 'requested', 'pending'];
+
+/*
+   Builds run as Github Actions workflows of the pull request's repo, started
+   by a `workflow_dispatch` of `spec.workflow` on the base branch, or else by a
+   `repository_dispatch` of `spec.eventType`.  The workflow is passed the
+   `commit` and `branch` to build, must report a commit status on the commit,
+   and must include the commit in its `run-name` so its runs can be canceled.
+
+   `githubRequestAsync(method, apiPath, content)` issues Github API requests.
+ */
+export function createGithubActionsBackend(githubRequestAsync) {
+  async function createBuild(spec, {repoName, branch, commit, message, metaData, env, baseBranch}) {
+    if (spec.workflow) {
+      await githubRequestAsync(
+        'post',
+        `/repos/${repoName}/actions/workflows/${encodeURIComponent(spec.workflow)}/dispatches`,
+        {ref: baseBranch, inputs: {commit, branch}}
+      );
+      return {
+        id: null,
+        url: `https://github.com/${repoName}/actions/workflows/${encodeURIComponent(spec.workflow)}`,
+        description: `Dispatched workflow ${spec.workflow}`,
+      };
+    }
+
+    if (spec.eventType) {
+      await githubRequestAsync('post', `/repos/${repoName}/dispatches`, {
+        event_type: spec.eventType,
+        client_payload: {
+          commit,
+          branch,
+          base_branch: baseBranch,
+          message,
+          env: Object.assign({}, spec.env, env),
+          meta_data: Object.assign({}, spec.metaData, metaData),
+        },
+      });
+      return {
+        id: null,
+        url: `https://github.com/${repoName}/actions`,
+        description: `Dispatched ${spec.eventType} event`,
+      };
+    }
+
+    throw new Error(`${spec.pipeline} needs a workflow or event_type for Github Actions`);
+  }
+
+  async function cancelBuilds(spec, repoName, commit) {
+    const {workflow_runs} = await githubRequestAsync('get', `/repos/${repoName}/actions/runs`, {
+      event: spec.workflow ? 'workflow_dispatch' : 'repository_dispatch',
+      per_page: 100,
+    });
+
+    let canceled = 0;
+    for (const run of workflow_runs) {
+      if (!ACTIONS_ACTIVE_STATUSES.includes(run.status) || !run.display_title.includes(commit)) {
+        continue;
+      }
+      if (spec.workflow && !run.path.endsWith(`/${spec.workflow}`)) {
+        continue;
+      }
+      log.info(`Canceling ${repoName} workflow run ${run.id} for ${commit}`);
+      try {
+        await githubRequestAsync('post', `/repos/${repoName}/actions/runs/${run.id}/cancel`, {});
+        canceled++;
+      } catch (err) {
+        log.warn(`Failed to cancel ${repoName} workflow run ${run.id}:`, err.message);
+      }
+    }
+    return canceled;
+  }
+
+  return {
+    statusContext: spec => spec.statusContext || spec.pipeline,
+    createBuild,
+    cancelBuild: async (spec, repoName, {commit}) => await cancelBuilds(spec, repoName, commit) > 0,
+    cancelBuilds,
+  };
+}
+
+/*
+   Builds run by another CI system, such as Jenkins, through a small HTTP
+   interface:
+     POST `url`         {pipeline, repo, branch, commit, message, base_branch,
+                         env, meta_data}, optionally answered with {id, url}
+     POST `cancelUrl`   {pipeline, repo, id, commit}, with a null `id` to cancel
+                        all builds of the commit, answered with {canceled}
+   Requests carry `token` as a bearer token if one is set, and are sent with
+   the axios style `request(config)`, which defaults to axios.  The CI system
+   must report a commit status on the commit.
+ */
+export function createHttpBackend(name, {url, cancelUrl, token, request = axios}) {
+  function postAsync(postUrl, data) {
+    const headers = token ? {Authorization: `Bearer ${token}`} : {};
+    return observeApiRequest(name, 'POST', () => request({method: 'post', url: postUrl, data, headers}));
+  }
+
+  async function createBuild(spec, {repoName, branch, commit, message, metaData, env, baseBranch}) {
+    const response = await postAsync(url, {
+      pipeline: spec.pipeline,
+      repo: repoName,
+      branch,
+      commit,
+      message,
+      base_branch: baseBranch,
+      env: Object.assign({}, spec.env, env),
+      meta_data: Object.assign({}, spec.metaData, metaData),
+    });
+    const build = response.data || {};
+    return {
+      id: build.id === undefined ? null : build.id,
+      url: build.url || null,
+      description: `Build ${build.id === undefined ? '' : `${build.id} `}requested from ${name}`,
+    };
+  }
+
+  async function cancel(spec, repoName, id, commit) {
+    if (!cancelUrl) {
+      log.warn(`${name} has no cancel URL, unable to cancel ${spec.pipeline} build of ${commit}`);
+      return 0;
+    }
+    try {
+      const response = await postAsync(cancelUrl, {pipeline: spec.pipeline, repo: repoName, id, commit});
+      return Number((response.data && response.data.canceled) || 0);
+    } catch (err) {
+      log.warn(`Failed to cancel ${spec.pipeline} build of ${commit} with ${name}:`, err.message);
+      return 0;
+    }
+  }
+
+  return {
+    statusContext: spec => spec.statusContext || spec.pipeline,
+    createBuild,
+    cancelBuild: async (spec, repoName, {id, commit}) => await cancel(spec, repoName, id, commit) > 0,
+    cancelBuilds: (spec, repoName, commit) => cancel(spec, repoName, null, commit),
+  };
+}
+
+// Backend for pipeline specs naming a backend that is not configured, so
+// their builds fail to be created rather than being silently skipped
+export function createUnknownBackend(name) {
+  return {
+    statusContext: spec => spec.statusContext || spec.pipeline,
+    createBuild: spec => Promise.reject(new Error(`Unknown CI backend ${name} for ${spec.pipeline}`)),
+    cancelBuild: () => Promise.resolve(false),
+    cancelBuilds: () => Promise.resolve(0),
+  };
+}
@@ -0,0 +1,192 @@
+import createLogger from 'silk-log';
+
+const log = createLogger('dryRun');
+
+// Sections of a dry run report, in the order they are printed
+const REPORT_SECTIONS = [
+  {kind: 'label', title: 'Labels changed'},
+  {kind: 'status', title: 'Statuses set'},
+  {kind: 'build', title: 'Builds triggered'},
+  {kind: 'cancel', title: 'Builds canceled'},
+  {kind: 'merge', title: 'Merges attempted'},
+  {kind: 'comment', title: 'Comments posted'},
+  {kind: 'other', title: 'Other writes'},
+];
+
+function shortSha(sha) {
+  return String(sha).substring(0, 8);
+}
+
+// Returns the path of an API URL, without its origin and query
+function urlPath(url) {
+  return decodeURI(url.replace(/^https?:\/\/[^/]+/, '').replace(/\?.*$/, ''));
+}
+
+function describeGithubCall(method, apiPath, body) {
+  let match = apiPath.match(/^\/repos\/([^/]+\/[^/]+)\/(.*)$/);
+  if (!match) {
+    return null;
+  }
+  const [, repoName, rest] = match;
+
+  if (method === 'POST' && (match = rest.match(/^statuses\/(\w+)$/))) {
+    const description = body.description ? ` - ${body.description}` : '';
+    return {
+      kind: 'status',
+      description: `${body.context} on ${repoName}@${shortSha(match[1])}: ${body.state}${description}`,
+    };
+  }
+  if (method === 'POST' && (match = rest.match(/^issues\/(\d+)\/labels$/))) {
+    return {kind: 'label', description: `add ${[].concat(body).join(', ')} to ${repoName}#${match[1]}`};
+  }
+  if (method === 'DELETE' && (match = rest.match(/^issues\/(\d+)\/labels\/(.+)$/))) {
+    return {kind: 'label', description: `remove ${match[2]} from ${repoName}#${match[1]}`};
+  }
+  if (method === 'POST' && (match = rest.match(/^issues\/(\d+)\/comments$/))) {
+    return {kind: 'comment', description: `${repoName}#${match[1]}: ${body.body}`};
+  }
+  if (method === 'PUT' && (match = rest.match(/^pulls\/(\d+)\/merge$/))) {
+    return {
+      kind: 'merge',
+      description: `${repoName}#${match[1]} at ${shortSha(body.sha)} with ${body.merge_method} merge`,
+    };
+  }
+  if (method === 'POST' && (match = rest.match(/^actions\/workflows\/([^/]+)\/dispatches$/))) {
+    return {
+      kind: 'build',
+      description: `${repoName} workflow ${match[1]} of ${shortSha(body.inputs.commit)} (${body.inputs.branch})`,
+    };
+  }
+  if (method === 'POST' && rest === 'dispatches') {
+    const {commit, branch} = body.client_payload || {};
+    return {
+      kind: 'build',
+      description: `${repoName} ${body.event_type} event of ${shortSha(commit)} (${branch})`,
+    };
+  }
+  if (method === 'POST' && (match = rest.match(/^actions\/runs\/(\d+)\/cancel$/))) {
+    return {kind: 'cancel', description: `${repoName} workflow run ${match[1]}`};
+  }
+  return null;
+}
+
+function describeBuildkiteCall(method, apiPath, body) {
+  let match;
+  if (method === 'POST' && (match = apiPath.match(/\/pipelines\/([^/]+)\/builds$/))) {
+    return {kind: 'build', description: `${match[1]} build of ${shortSha(body.commit)} (${body.branch})`};
+  }
+  if (method === 'PUT' && (match = apiPath.match(/\/pipelines\/([^/]+)\/builds\/(\d+)\/cancel$/))) {
+    return {kind: 'cancel', description: `${match[1]} build #${match[2]}`};
+  }
+  return null;
+}
+
+// Requests of the HTTP CI backend, see createHttpBackend()
+function describeHttpBackendCall(api, body) {
+  if (body.branch !== undefined) {
+    return {kind: 'build', description: `${body.pipeline} build of ${shortSha(body.commit)} (${body.branch}) with ${api}`};
+  }
+  const build = body.id === null ? 'all builds' : `build ${body.id}`;
+  return {kind: 'cancel', description: `${body.pipeline} ${build} of ${shortSha(body.commit)} with ${api}`};
+}
+
+// Returns {kind, description} of a write request to `api`, where `kind` is
+// the report section it is listed in
+export function describeCall(api, method, url, body) {
+  const apiPath = urlPath(url);
+  let described = null;
+  if (api === 'github') {
+    described = describeGithubCall(method, apiPath, body || {});
+  } else if (api === 'buildkite') {
+    described = describeBuildkiteCall(method, apiPath, body || {});
+  } else if (body) {
+    described = describeHttpBackendCall(api, body);
+  }
+  return described || {kind: 'other', description: `${api} ${method} ${apiPath}`};
+}
+
+// Returns the HTTP status code with which the Github API answers a write,
+// which octonode checks
+function githubWriteStatus(method, url) {
+  if (method === 'POST' && !/\/labels$/.test(urlPath(url))) {
+    return 201;
+  }
+  return method === 'DELETE' && !/\/labels\//.test(urlPath(url)) ? 204 : 200;
+}
+
+// Returns the body of the response to a recorded write.  Builds created in a
+// dry run are numbered 'dry-run'
+function writeResponseData(api, call) {
+  return (api === 'buildkite' && call.kind === 'build') ? {number: 'dry-run'} : {};
+}
+
+/*
+   Records the writes ci-gate would make to Github and CI systems during a dry
+   run, in place of making them.  Requests are sent through transports that
+   pass reads on and record writes, answering them as if they succeeded.  Each
+   write is recorded as {api, method, url, body, kind, description}, where
+   `api` is 'github', 'buildkite' or the name of an HTTP CI backend.
+ */
+export function createRecorder() {
+  const calls = [];
+
+  // Record a write request, which is not sent
+  function record(api, method, url, body) {
+    const upperMethod = method.toUpperCase();
+    const call = Object.assign(
+      {api, method: upperMethod, url, body},
+      describeCall(api, upperMethod, url, body)
+    );
+    calls.push(call);
+    log.info(`Dry run, not sending ${call.api} ${call.method} ${urlPath(url)}`);
+    return call;
+  }
+
+  // Returns an octonode request function that sends reads with `send`
+  function githubTransport(send) {
+    return (options, callback) => {
+      const method = options.method || 'GET';
+      if (method === 'GET') {
+        return send(options, callback);
+      }
+      record('github', method, options.uri, options.body ? JSON.parse(options.body) : null);
+      const statusCode = githubWriteStatus(method, options.uri);
+      process.nextTick(() => callback(null, {statusCode, headers: {}}, '{}'));
+    };
+  }
+
+  // Returns an axios style request function for `api` that sends reads with
+  // `send`
+  function httpTransport(api, send) {
+    return config => {
+      const method = (config.method || 'get').toUpperCase();
+      if (method === 'GET') {
+        return send(config);
+      }
+      const call = record(api, method, config.url, config.data || null);
+      return Promise.resolve({status: 200, headers: {}, data: writeResponseData(api, call)});
+    };
+  }
+
+  // Returns a report of the recorded writes, grouped by kind
+  function report() {
+    if (calls.length === 0) {
+      return 'No writes to Github or CI systems';
+    }
+    const lines = [];
+    for (const {kind, title} of REPORT_SECTIONS) {
+      const sectionCalls = calls.filter(call => call.kind === kind);
+      if (sectionCalls.length > 0) {
+        lines.push(`${title}:`, ...sectionCalls.map(call => `  ${call.description}`));
+      }
+    }
+    return lines.join('\n');
+  }
+
+  return {
+    calls: () => calls.slice(),
+    githubTransport,
+    httpTransport,
+    report,
+  };
+}
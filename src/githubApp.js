@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import createLogger from 'silk-log';
+
+import {observeApiRequest} from './metrics';
+
+const log = createLogger('githubApp');
+
+const GITHUB_API_URL = 'https://api.github.com';
+
+// Installation tokens are refreshed this long before they expire
+const TOKEN_REFRESH_MARGIN_SECONDS = 5 * 60;
+
+// App JWTs may live for at most 10 minutes
+const JWT_LIFETIME_SECONDS = 9 * 60;
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+// Returns the account (user or organization) that owns the resource of a
+// Github API path or URL, or null if the path is not owned by one
+export function apiPathOwner(apiPath) {
+  const pathname = apiPath.startsWith(GITHUB_API_URL) ? apiPath.slice(GITHUB_API_URL.length) : apiPath;
+  const match = pathname.match(/^\/(?:repos|orgs|users)\/([^/?]+)/);
+  return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+}
+
+/*
+   Authenticates as a Github App.  Requests are made with a token of the app's
+   installation on the account that owns the requested resource.
+
+   Installations are learned from webhook payloads with setInstallation(), and
+   otherwise looked up through the Github API.  Installation tokens are cached
+   until shortly before they expire.
+ */
+export function createGithubAppAuth({appId, privateKey}) {
+  const installations = new Map(); // account login -> installation id
+  const tokens = new Map(); // installation id -> Promise of {token, expiresAt}
+
+  function appJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const data = `${base64url({alg: 'RS256', typ: 'JWT'})}.${base64url({
+      // Allow for clock drift
+      iat: now - 60,
+      exp: now + JWT_LIFETIME_SECONDS,
+      iss: String(appId),
+    })}`;
+    const signature = crypto.createSign('RSA-SHA256').update(data).sign(privateKey, 'base64url');
+    return `${data}.${signature}`;
+  }
+
+  function appRequestAsync(method, apiPath) {
+    return observeApiRequest('github', method.toUpperCase(), () => axios({
+      method,
+      url: `${GITHUB_API_URL}${apiPath}`,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${appJwt()}`,
+      },
+    }));
+  }
+
+  async function installationId(owner) {
+    if (!installations.has(owner)) {
+      // Works for organizations as well as users
+      const {data} = await appRequestAsync('get', `/users/${encodeURIComponent(owner)}/installation`);
+      log.info(`Found Github App installation ${data.id} on ${owner}`);
+      installations.set(owner, data.id);
+    }
+    return installations.get(owner);
+  }
+
+  async function createToken(id) {
+    const {data} = await appRequestAsync('post', `/app/installations/${id}/access_tokens`);
+    log.info(`Created access token for Github App installation ${id}, expires ${data.expires_at}`);
+    return {token: data.token, expiresAt: Date.parse(data.expires_at)};
+  }
+
+  async function installationToken(id) {
+    const cached = tokens.get(id);
+    if (cached) {
+      try {
+        const {token, expiresAt} = await cached;
+        if (expiresAt - TOKEN_REFRESH_MARGIN_SECONDS * 1000 > Date.now()) {
+          return token;
+        }
+      } catch (err) {
+        // Fall through to create a new token
+      }
+      if (tokens.get(id) !== cached) {
+        // Another request already replaced the token
+        return installationToken(id);
+      }
+    }
+
+    // Share the pending token with concurrent requests
+    const created = createToken(id);
+    tokens.set(id, created);
+    created.catch(() => {
+      if (tokens.get(id) === created) {
+        tokens.delete(id);
+      }
+    });
+    return (await created).token;
+  }
+
+  // Resolves the Authorization header for a request of a Github API path or URL
+  async function authorization(apiPath) {
+    const owner = apiPathOwner(apiPath);
+    if (!owner) {
+      throw new Error(`Unable to pick a Github App installation for ${apiPath}`);
+    }
+    const id = await installationId(owner);
+    try {
+      return `token ${await installationToken(id)}`;
+    } catch (err) {
+      // The app may have been uninstalled, look the installation up again
+      installations.delete(owner);
+      throw err;
+    }
+  }
+
+  // Record the installation that delivered a webhook event for `owner`
+  function setInstallation(owner, id) {
+    const login = owner.toLowerCase();
+    if (installations.get(login) !== id) {
+      log.info(`Using Github App installation ${id} for ${owner}`);
+      installations.set(login, id);
+    }
+  }
+
+  // Drop the cached token of `apiPath`'s installation, after Github rejected it
+  function forgetToken(apiPath) {
+    const id = installations.get(apiPathOwner(apiPath));
+    if (id !== undefined) {
+      tokens.delete(id);
+    }
+  }
+
+  return {authorization, forgetToken, setInstallation};
+}
@@ -0,0 +1,103 @@
+/*
+   HTML templates that escape interpolated values by default:
+     html`<a href="${url}">${title}</a>`
+   Interpolated strings are escaped, arrays are rendered item by item, and
+   null, undefined and false render as nothing.  Nested templates and
+   rawHtml() values are inserted as is.
+ */
+
+class SafeHtml {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+export function escapeHtml(text) {
+  return String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+}
+
+// Mark trusted HTML, such as job logs rendered by Buildkite, to be inserted
+// into a template without escaping
+export function rawHtml(text) {
+  return new SafeHtml(String(text));
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+  if (value instanceof SafeHtml) {
+    return value.text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+  return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+  let text = strings[0];
+  values.forEach((value, i) => {
+    text += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(text);
+}
+
+/*
+   Content-Security-Policy of rendered pages.  Scripts may only be loaded from
+   ci-gate itself.  Inline styles are allowed as job logs rendered by Buildkite
+   may color text with them
+ */
+export const PAGE_CONTENT_SECURITY_POLICY = [
+  `default-src 'self'`,
+  `script-src 'self'`,
+  `style-src 'self' 'unsafe-inline'`,
+  `img-src 'self'`,
+  `object-src 'none'`,
+  `base-uri 'none'`,
+  `form-action 'self'`,
+  `frame-ancestors 'none'`,
+].join('; ');
+
+/*
+   Render a complete page, themed light or dark by /theme.css following the
+   browser's preference unless the reader picks a theme
+ */
+export function htmlPage({title, stylesheets = [], scripts = [], body}) {
+  return html`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <link rel="stylesheet" type="text/css" href="/theme.css" />
+  ${stylesheets.map(href => html`<link rel="stylesheet" type="text/css" href="${href}" />`)}
+  <script src="/theme.js"></script>
+  ${scripts.map(src => html`<script src="${src}" defer></script>`)}
+</head>
+<body>
+<div class="theme-picker">
+  Theme:
+  <button type="button" data-theme-choice="auto">auto</button>
+  <button type="button" data-theme-choice="light">light</button>
+  <button type="button" data-theme-choice="dark">dark</button>
+</div>
+${body}
+</body>
+</html>
+`;
+}
+
+// Respond with a rendered page
+export function sendHtmlPage(res, page) {
+  res.set('Content-Security-Policy', PAGE_CONTENT_SECURITY_POLICY);
+  res.type('html').send(page.toString());
+}
@@ -0,0 +1,168 @@
+import createLogger from 'silk-log';
+
+import {splitHtmlLines} from './logText';
+
+const log = createLogger('logStreams');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/*
+   Streams updates of builds to the public log pages showing them, as
+   server-sent events.  Each build is polled once every `pollSeconds` for all
+   pages streaming it, and at most `maxConnections` pages are streamed at once.
+
+   A build is polled with a function resolving
+     {
+       build: {state, stateClass, humanTime, active},
+       jobs: [{id, state, stateClass, humanTime, active, getLogHtml}],
+     }
+   where `getLogHtml()` resolves the log HTML of a public job, and is null for
+   other jobs.
+
+   Events sent:
+     build  {state, stateClass, humanTime}
+     job    {id, state, stateClass, humanTime, active}
+     log    {id, html, replace}   The log lines completed since the last log
+                                  event of the job, or all lines so far if
+                                  `replace` is set
+     end    {error}               The build finished, or could not be polled
+                                  if `error` is set
+ */
+export function createBuildStreams({pollSeconds, maxConnections}) {
+  const streams = new Map(); // build key -> stream
+  let connections = 0;
+
+  function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function broadcast(stream, event, data) {
+    for (const res of stream.subscribers) {
+      send(res, event, data);
+    }
+  }
+
+  // Bring a page that joins a stream up to date
+  function sendSnapshot(stream, res) {
+    if (stream.build) {
+      send(res, 'build', stream.build);
+    }
+    for (const job of stream.jobs.values()) {
+      send(res, 'job', job.update);
+      if (job.logLines) {
+        send(res, 'log', {id: job.update.id, html: job.logLines.join('\n'), replace: true});
+      }
+    }
+  }
+
+  // Poll a build once, sending what changed.  Resolves whether the build is
+  // still active
+  async function poll(stream) {
+    const {build, jobs} = await stream.fetchBuild();
+    const buildUpdate = {state: build.state, stateClass: build.stateClass, humanTime: build.humanTime};
+    if (!stream.build || stream.build.state !== buildUpdate.state || stream.build.humanTime !== buildUpdate.humanTime) {
+      stream.build = buildUpdate;
+      broadcast(stream, 'build', buildUpdate);
+    }
+
+    for (const job of jobs) {
+      const update = {
+        id: job.id,
+        state: job.state,
+        stateClass: job.stateClass,
+        humanTime: job.humanTime,
+        active: job.active,
+      };
+      let streamJob = stream.jobs.get(job.id);
+      const changed = !streamJob || streamJob.update.state !== update.state ||
+        streamJob.update.humanTime !== update.humanTime;
+      if (!streamJob) {
+        streamJob = {update, logLines: null};
+        stream.jobs.set(job.id, streamJob);
+      }
+      if (changed) {
+        streamJob.update = update;
+        broadcast(stream, 'job', update);
+      }
+
+      // The last line of an active job's log may still be incomplete so is
+      // held back
+      if (job.getLogHtml && (job.active || changed)) {
+        const lines = splitHtmlLines(await job.getLogHtml());
+        const completeLines = job.active ? lines.length - 1 : lines.length;
+        const known = streamJob.logLines;
+        if (!known || completeLines > known.length) {
+          streamJob.logLines = lines.slice(0, completeLines);
+          broadcast(stream, 'log', {
+            id: job.id,
+            html: lines.slice(known ? known.length : 0, completeLines).join('\n'),
+            replace: !known,
+          });
+        }
+      }
+    }
+    return build.active;
+  }
+
+  // Poll a build until it finishes or no page streams it any more
+  async function run(stream) {
+    let end = {};
+    try {
+      while (stream.subscribers.size > 0) {
+        if (!await poll(stream)) {
+          break;
+        }
+        await sleep(pollSeconds * 1000);
+      }
+    } catch (err) {
+      log.error(`Failed to poll ${stream.key}:`, err);
+      end = {error: 'Live updates failed'};
+    }
+
+    // The end event stops browsers from reconnecting
+    streams.delete(stream.key);
+    broadcast(stream, 'end', end);
+    for (const res of stream.subscribers) {
+      res.end();
+    }
+  }
+
+  /*
+     Respond with the event stream of the build `key`, polled with
+     `fetchBuild()` if no other page is streaming it yet.  Returns false,
+     without responding, if too many pages are already streamed
+   */
+  function subscribe(res, key, fetchBuild) {
+    if (connections >= maxConnections) {
+      log.warn(`Refusing to stream ${key}, ${connections} streams are open`);
+      return false;
+    }
+    connections++;
+    res.on('close', () => {
+      connections--;
+      const stream = streams.get(key);
+      if (stream) {
+        stream.subscribers.delete(res);
+      }
+    });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+
+    let stream = streams.get(key);
+    if (stream) {
+      sendSnapshot(stream, res);
+      stream.subscribers.add(res);
+    } else {
+      stream = {key, fetchBuild, build: null, jobs: new Map(), subscribers: new Set([res])};
+      streams.set(key, stream);
+      run(stream);
+    }
+    return true;
+  }
+
+  return {subscribe};
+}
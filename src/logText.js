@@ -0,0 +1,115 @@
+// Matches ANSI escape sequences (colors, cursor movement) along with the
+// APC sequences Buildkite embeds in raw job logs for timestamps
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]|\x1b\][^\x07]*(\x07|\x1b\\)|\x1b_[^\x07]*\x07/g; // eslint-disable-line no-control-regex
+
+/*
+   Convert a raw job log to plain text.  Escape sequences are removed, and a
+   carriage return within a line (as progress output uses) keeps only the text
+   written after it, as a terminal would display.
+ */
+export function stripAnsi(text) {
+  return text
+  .replace(ANSI_PATTERN, '')
+  .split(/\r?\n/)
+  .map(line => line.slice(line.lastIndexOf('\r') + 1))
+  .join('\n');
+}
+
+const HTML_ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\''};
+
+// Decode the character references of HTML text
+export function decodeHtml(html) {
+  return html.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (entity, dec, hex, name) => {
+    if (dec || hex) {
+      return String.fromCodePoint(dec ? Number(dec) : parseInt(hex, 16));
+    }
+    return HTML_ENTITIES[name.toLowerCase()] || entity;
+  });
+}
+
+// Matches an HTML start or end tag, capturing the slash of an end tag and the
+// tag name
+const TAG_PATTERN = /<(\/?)([a-z][a-z0-9-]*)\b[^>]*>/gi;
+
+// Elements that have no end tag
+const VOID_ELEMENTS = ['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr'];
+
+/*
+   Split a rendered HTML job log into lines that can each be displayed on their
+   own.  An element left open at the end of a line, such as a span coloring
+   several lines, is closed there and opened again at the start of the next.
+ */
+export function splitHtmlLines(html) {
+  const open = []; // {name, tag} of the elements open at the end of a line
+  return html.split('\n').map(line => {
+    const prefix = open.map(element => element.tag).join('');
+    for (const [tag, end, name] of line.matchAll(TAG_PATTERN)) {
+      const lowerName = name.toLowerCase();
+      if (end) {
+        const index = open.map(element => element.name).lastIndexOf(lowerName);
+        if (index !== -1) {
+          open.splice(index);
+        }
+      } else if (!VOID_ELEMENTS.includes(lowerName) && !tag.endsWith('/>')) {
+        open.push({name: lowerName, tag});
+      }
+    }
+    const suffix = open.map(element => `</${element.name}>`).reverse().join('');
+    return prefix + line + suffix;
+  });
+}
+
+// Convert a line of a rendered HTML job log to the text it displays
+export function htmlLineText(line) {
+  return decodeHtml(line.replace(/<[^>]*>/g, ''));
+}
+
+// Matches log lines that report an error or failure
+const ERROR_PATTERN = /\berror\b|\bfailed\b|\bfailure\b|\bpanicked\b|^\s*FAIL\b|\bexit status [1-9]/i;
+
+// Returns the index of the first line that reports an error, or -1
+export function findErrorLine(lines) {
+  return lines.findIndex(line => ERROR_PATTERN.test(line));
+}
+
+/*
+   Search lines of text for those containing `query`, ignoring case, like
+   `grep -F -i -C context`.  Returns the matches as blocks of consecutive
+   lines, each an array of {index, match} where `match` is true for lines
+   containing the query and false for context lines.  Stops after
+   `maxMatches` matching lines.
+ */
+export function searchLines(lines, query, context, maxMatches) {
+  const needle = query.toLowerCase();
+  const blocks = [];
+  let block = null;
+  let lastIndex = -1;
+  let matches = 0;
+  for (let index = 0; index < lines.length && matches < maxMatches; index++) {
+    if (!lines[index].toLowerCase().includes(needle)) {
+      continue;
+    }
+    matches++;
+
+    const first = Math.max(index - context, lastIndex + 1);
+    if (!block || first > lastIndex + 1) {
+      block = [];
+      blocks.push(block);
+    }
+    for (let i = first; i < index; i++) {
+      block.push({index: i, match: false});
+    }
+    block.push({index, match: true});
+    lastIndex = index;
+
+    // Trailing context, up to the next match
+    for (let i = index + 1; i <= Math.min(index + context, lines.length - 1); i++) {
+      if (lines[i].toLowerCase().includes(needle)) {
+        break;
+      }
+      block.push({index: i, match: false});
+      lastIndex = i;
+    }
+  }
+  return blocks;
+}
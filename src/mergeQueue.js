@@ -0,0 +1,102 @@
+/*
+   In-memory merge queues, one per repo and base branch.  Pull requests are
+   merged in the order they were queued, and only the entry at the head of a
+   queue is tested against the latest base branch.
+
+   Each entry is an object of the form:
+     {
+       prNumber,
+       headSha,     // PR head commit that was queued
+       state,       // 'queued' or 'testing'
+       baseSha,     // Base branch commit being tested against
+       testSha,     // Merge commit being tested
+       pipelines,   // Pipeline specs testing `testSha`
+       retryTimer,  // Pending retry of the queue, if any
+     }
+ */
+export function createMergeQueues() {
+  const queues = new Map();
+  const locks = new Map();
+
+  function queueKey(repoName, baseBranch) {
+    return `${repoName}:${baseBranch}`;
+  }
+
+  function entries(repoName, baseBranch) {
+    return queues.get(queueKey(repoName, baseBranch)) || [];
+  }
+
+  // Returns the base branches of all non-empty queues for a repo
+  function baseBranches(repoName) {
+    const prefix = `${repoName}:`;
+    return [...queues.keys()]
+    .filter(key => key.startsWith(prefix) && queues.get(key).length > 0)
+    .map(key => key.slice(prefix.length));
+  }
+
+  // Returns the 1-based position of the pull request in its queue, or 0 if it
+  // is not queued
+  function position(repoName, baseBranch, prNumber) {
+    return entries(repoName, baseBranch).findIndex(e => e.prNumber === prNumber) + 1;
+  }
+
+  function enqueue(repoName, baseBranch, prNumber, headSha) {
+    const key = queueKey(repoName, baseBranch);
+    if (!queues.has(key)) {
+      queues.set(key, []);
+    }
+    const queue = queues.get(key);
+    if (!queue.some(e => e.prNumber === prNumber)) {
+      queue.push({
+        prNumber,
+        headSha,
+        state: 'queued',
+        baseSha: null,
+        testSha: null,
+        pipelines: [],
+        retryTimer: null,
+      });
+    }
+    return position(repoName, baseBranch, prNumber);
+  }
+
+  // Removes the pull request from whichever queue of the repo holds it.
+  // Returns the removed entry (with its `baseBranch`), or null
+  function remove(repoName, prNumber) {
+    for (const baseBranch of baseBranches(repoName)) {
+      const queue = queues.get(queueKey(repoName, baseBranch));
+      const index = queue.findIndex(e => e.prNumber === prNumber);
+      if (index >= 0) {
+        const [entry] = queue.splice(index, 1);
+        if (entry.retryTimer) {
+          clearTimeout(entry.retryTimer);
+        }
+        return Object.assign({baseBranch}, entry);
+      }
+    }
+    return null;
+  }
+
+  // Runs `fn` once all earlier calls for the same queue have completed
+  function serialize(repoName, baseBranch, fn) {
+    const key = queueKey(repoName, baseBranch);
+    const previous = locks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    locks.set(key, current);
+    current.catch(() => {}).then(() => {
+      if (locks.get(key) === current) {
+        locks.delete(key);
+      }
+    });
+    return current;
+  }
+
+  return {
+    baseBranches,
+    enqueue,
+    entries,
+    position,
+    remove,
+    serialize,
+  };
+}
@@ -0,0 +1,83 @@
+import client from 'prom-client';
+
+/*
+   Prometheus metrics, served by the /metrics endpoint
+ */
+export const register = new client.Registry();
+client.collectDefaultMetrics({register, prefix: 'ci_gate_'});
+
+export const webhookEvents = new client.Counter({
+  name: 'ci_gate_webhook_events_total',
+  help: 'Webhook events handled, by source, event name, action and outcome',
+  labelNames: ['source', 'event', 'action', 'outcome'],
+  registers: [register],
+});
+
+export const webhookDeadLetters = new client.Gauge({
+  name: 'ci_gate_webhook_dead_letters',
+  help: 'Github webhook events that failed for good and await replay',
+  registers: [register],
+});
+
+export const gateDecisions = new client.Counter({
+  name: 'ci_gate_gate_decisions_total',
+  help: 'Decisions whether to run CI for pushes to pull requests, by reason',
+  labelNames: ['reason'],
+  registers: [register],
+});
+
+export const buildsTriggered = new client.Counter({
+  name: 'ci_gate_builds_triggered_total',
+  help: 'CI builds created, by backend and pipeline',
+  labelNames: ['backend', 'pipeline'],
+  registers: [register],
+});
+
+export const buildTriggerFailures = new client.Counter({
+  name: 'ci_gate_build_trigger_failures_total',
+  help: 'CI builds that could not be created, by backend and pipeline',
+  labelNames: ['backend', 'pipeline'],
+  registers: [register],
+});
+
+export const automergeOutcomes = new client.Counter({
+  name: 'ci_gate_automerge_outcomes_total',
+  help: 'Automerge requests that ended, by outcome',
+  labelNames: ['outcome'],
+  registers: [register],
+});
+
+export const apiRequestDuration = new client.Histogram({
+  name: 'ci_gate_api_request_duration_seconds',
+  help: 'Latency of Github and Buildkite API requests',
+  labelNames: ['api', 'method'],
+  registers: [register],
+});
+
+export const apiRequestErrors = new client.Counter({
+  name: 'ci_gate_api_request_errors_total',
+  help: 'Failed Github and Buildkite API requests, by HTTP status',
+  labelNames: ['api', 'method', 'status'],
+  registers: [register],
+});
+
+export const publicRequests = new client.Counter({
+  name: 'ci_gate_public_requests_total',
+  help: 'Public log, artifact and API requests served, by kind and HTTP status',
+  labelNames: ['kind', 'status'],
+  registers: [register],
+});
+
+// Run an API request, recording its latency and whether it failed
+export async function observeApiRequest(api, method, request) {
+  const end = apiRequestDuration.startTimer({api, method});
+  try {
+    return await request();
+  } catch (err) {
+    const status = (err.response && err.response.status) || err.statusCode || 'error';
+    apiRequestErrors.inc({api, method, status});
+    throw err;
+  } finally {
+    end();
+  }
+}
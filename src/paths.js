@@ -0,0 +1,8 @@
+import ignore from 'ignore';
+
+// Returns a function that tests whether a repo relative path matches any of
+// the gitignore style `patterns`
+export function createPathMatcher(patterns) {
+  const matcher = ignore().add(patterns);
+  return path => matcher.ignores(path);
+}
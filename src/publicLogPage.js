@@ -0,0 +1,115 @@
+import {html, htmlPage, rawHtml} from './html';
+
+/*
+   Renders the public log page of a build from a view of the form:
+     {
+       eventsUrl,       // Server-sent events of an active build, or null
+       build: {
+         message, state, stateClass, humanTime, webUrl, artifactsUrl,
+         branch: {name, url},   // `url` is null for branches not on Github
+         previous, next,        // {number, url} of neighboring builds, or null
+       },
+       jobs: [{
+         id, name, anchor, state, stateClass, humanTime, webUrl, command,
+         active,        // True for the job that shows the live update spinner
+         logHtml,       // Job log rendered by Buildkite, or null if not public
+         pagedLogUrl, textLogUrl,
+         artifacts: [{path, size, url}],
+       }],
+     }
+ */
+
+function state(name, value, stateClass) {
+  return html`<span class="${stateClass}" data-state="${name}">${value}</span>`;
+}
+
+function artifactList(artifacts) {
+  if (artifacts.length === 0) {
+    return null;
+  }
+  return html`
+    <ul>
+      ${artifacts.map(artifact => html`
+        <li><a href="${artifact.url}" target="_blank">${artifact.path}</a> (${artifact.size} bytes)</li>
+      `)}
+    </ul>
+  `;
+}
+
+function jobSummary(job) {
+  return html`
+    <li>
+      ${state(`job-${job.id}`, job.state, job.stateClass)}
+      - <a href="#${encodeURIComponent(job.anchor)}">${job.name}</a>
+      - <i data-time="job-${job.id}">${job.humanTime}</i>
+      ${job.artifacts.length > 0 && html`<br>${artifactList(job.artifacts)}`}
+    </li>
+  `;
+}
+
+function jobDetails(job, brief) {
+  let jobLog = html`<br><i>Build log not available</i><br>`;
+  if (job.logHtml !== null && (job.logHtml || job.active)) {
+    jobLog = html`<div class="term-container" id="job-log-${job.id}">${rawHtml(job.logHtml)}</div>`;
+  }
+
+  return html`
+    ${!brief && html`
+      <hr><h3 id="${job.anchor}">${job.name}</h3>
+      <b>State:</b>
+        ${state(`job-${job.id}`, job.state, job.stateClass)}
+        - <i data-time="job-${job.id}">${job.humanTime}</i>
+      <br/>
+      <b>Buildkite Log:</b> <a href="${job.webUrl}">link</a></br>
+    `}
+    ${job.artifacts.length > 0 && html`<b>Artifacts:</b> ${artifactList(job.artifacts)}`}
+    <b>Command:</b> <code>${job.command}</code></br>
+    ${job.logHtml !== null && html`
+      <b>Log:</b> <a href="${job.pagedLogUrl}">paged</a> - <a href="${job.textLogUrl}">plain text</a></br>
+    `}
+    ${jobLog}
+    ${job.active && html`
+      <div class="live-update" data-active="job-${job.id}">
+        <img class="spinner" src="/spinner.gif" alt="">
+        <i>Job active, updating live...</i>
+      </div>
+    `}
+  `;
+}
+
+export function renderPublicLogPage({eventsUrl, build, jobs}) {
+  const brief = jobs.length === 1;
+  const {branch, previous, next} = build;
+
+  return htmlPage({
+    title: build.message,
+    stylesheets: ['/terminal.css', '/public_log.css'],
+    scripts: eventsUrl ? ['/public_log.js'] : [],
+    body: html`
+      <main data-events-url="${eventsUrl || ''}">
+      <h2>
+        ${eventsUrl && html`<img class="spinner" src="/spinner.gif" alt="" data-active="build">`}
+        ${build.message}
+      </h2>
+      <b>State:</b>
+        ${state('build', build.state, build.stateClass)}
+        - <i data-time="build">${build.humanTime}</i>
+        <br/>
+      <b>Branch:</b> ${branch.url ? html`<a href="${branch.url}">${branch.name}</a>` : branch.name}</br>
+      ${(previous || next) && html`
+        <b>Other builds of this branch:</b>
+        ${previous && html`<a href="${previous.url}">&larr; #${previous.number}</a>`}
+        ${next && html`<a href="${next.url}">#${next.number} &rarr;</a>`}
+        </br>
+      `}
+      <b>Buildkite Log:</b> <a href="${build.webUrl}">link</a></br>
+      <b>Artifacts:</b> <a href="${build.artifactsUrl}">all artifacts</a></br>
+      ${!brief && jobs.length > 0 && html`
+        <b>Steps:</b>
+        <ol>${jobs.map(jobSummary)}</ol>
+      `}
+      ${jobs.map(job => jobDetails(job, brief))}
+      </main>
+    `,
+  });
+}
@@ -0,0 +1,169 @@
+import fs from 'fs';
+import createLogger from 'silk-log';
+
+import {escapeHtml} from './html';
+import {decodeHtml} from './logText';
+
+const log = createLogger('redaction');
+
+// Secrets shorter than this are ignored, they would redact too much else
+const MIN_SECRET_LENGTH = 4;
+
+// Common token formats that are always redacted
+const BUILTIN_DETECTORS = [
+  {label: 'github token', pattern: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,}\b|\bgithub_pat_[A-Za-z0-9_]{22,}/g},
+  {label: 'aws access key', pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g},
+  {
+    label: 'aws secret key',
+    pattern: /(?<=aws_secret_access_key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+]{40}(?![A-Za-z0-9/+])/gi,
+  },
+  {
+    // A key that is still being written may not have its END line yet
+    label: 'private key',
+    pattern: /-----BEGIN[A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END[A-Z ]*PRIVATE KEY-----|$)/g,
+  },
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Reads the literal secrets of a secrets file, one per line
+export function readSecretsFile(filename) {
+  const secrets = [];
+  for (const line of fs.readFileSync(filename, 'utf8').split(/\r?\n/)) {
+    if (line.length === 0) {
+      continue;
+    }
+    if (line.length < MIN_SECRET_LENGTH) {
+      log.warn(`Ignoring secret shorter than ${MIN_SECRET_LENGTH} characters in ${filename}`);
+      continue;
+    }
+    secrets.push(line);
+  }
+  return secrets;
+}
+
+/*
+   Returns functions that replace secrets in text shown to the public with a
+   visible placeholder:
+     redactText(text, description) -> text
+     redactHtml(html, description) -> html, only redacting text outside tags
+   A secret that spans several lines is replaced by a placeholder followed by
+   the same number of newlines, so that line numbers do not change.  The
+   number of secrets redacted is logged with `description`.
+
+   `patterns` are regular expression sources of additional secrets to redact,
+   and `secrets` are literal secret values.
+ */
+export function createRedactor({patterns = [], secrets = []}) {
+  const detectors = BUILTIN_DETECTORS.concat(patterns.map(source => ({
+    label: 'secret',
+    pattern: new RegExp(source, 'g'),
+  })));
+  if (secrets.length > 0) {
+    // Longest first, so that a secret containing another is redacted whole
+    const alternatives = [...secrets].sort((a, b) => b.length - a.length).map(escapeRegExp);
+    detectors.push({label: 'secret', pattern: new RegExp(alternatives.join('|'), 'g')});
+  }
+
+  // Returns the non-overlapping ranges of `text` holding secrets, in order
+  function findSecrets(text) {
+    const ranges = [];
+    for (const {label, pattern} of detectors) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          pattern.lastIndex++;
+          continue;
+        }
+        ranges.push({start: match.index, end: match.index + match[0].length, label});
+      }
+    }
+    ranges.sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const range of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && range.start < last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push(Object.assign({}, range));
+      }
+    }
+    return merged;
+  }
+
+  function placeholder(range) {
+    return `[REDACTED ${range.label}]`;
+  }
+
+  // Newlines within a range of text, kept to preserve line numbers
+  function newlines(text, start, end) {
+    return text.slice(start, end).replace(/[^\n]/g, '');
+  }
+
+  function logRedactions(count, description) {
+    if (count > 0) {
+      log.warn(`Redacted ${count} secret${count === 1 ? '' : 's'} from ${description}`);
+    }
+  }
+
+  function redactText(text, description) {
+    const ranges = findSecrets(text);
+    let redacted = '';
+    let offset = 0;
+    for (const range of ranges) {
+      redacted += text.slice(offset, range.start) + placeholder(range) + newlines(text, range.start, range.end);
+      offset = range.end;
+    }
+    logRedactions(ranges.length, description);
+    return redacted + text.slice(offset);
+  }
+
+  function redactHtml(html, description) {
+    // Secrets are found in the text content, which may be split across
+    // elements such as color spans
+    const parts = html.split(/(<[^>]*>)/);
+    const texts = [];
+    let content = '';
+    for (let i = 0; i < parts.length; i += 2) {
+      const text = decodeHtml(parts[i]);
+      texts.push({index: i, start: content.length, text});
+      content += text;
+    }
+
+    const ranges = findSecrets(content);
+    if (ranges.length === 0) {
+      return html;
+    }
+
+    // Rewrite each piece of text that a secret overlaps.  The placeholder
+    // goes where the secret starts
+    for (const {index, start, text} of texts) {
+      const end = start + text.length;
+      const overlapping = ranges.filter(range => range.start < end && range.end > start);
+      if (overlapping.length === 0) {
+        continue;
+      }
+      let redacted = '';
+      let offset = 0;
+      for (const range of overlapping) {
+        const from = Math.max(range.start - start, 0);
+        const to = Math.min(range.end - start, text.length);
+        redacted += escapeHtml(text.slice(offset, from));
+        if (range.start >= start) {
+          redacted += escapeHtml(placeholder(range));
+        }
+        redacted += newlines(text, from, to);
+        offset = to;
+      }
+      parts[index] = redacted + escapeHtml(text.slice(offset));
+    }
+    logRedactions(ranges.length, description);
+    return parts.join('');
+  }
+
+  return {redactHtml, redactText};
+}
@@ -0,0 +1,334 @@
+import yaml from 'js-yaml';
+import createLogger from 'silk-log';
+
+import {createPathMatcher} from './paths';
+
+const log = createLogger('repoConfig');
+
+export const REPO_CONFIG_PATH = '.github/ci-gate.yml';
+
+const MERGE_METHODS = ['merge', 'squash', 'rebase'];
+
+/*
+   Maps each key accepted in the repo config file to the property name used
+   in the resolved config object, along with a validator for its value
+ */
+const schema = {
+  ci_label: {key: 'ciLabel', validate: isNonEmptyString},
+  noci_label: {key: 'nociLabel', validate: isNonEmptyString},
+  ci_for_everybody: {key: 'ciForEverybody', validate: isBoolean},
+  ci_user_whitelist: {key: 'ciUserWhitelist', validate: isStringList},
+  ci_trusted_teams: {key: 'ciTrustedTeams', validate: isTeamList},
+  ci_user_denylist: {key: 'ciUserDenylist', validate: isStringList},
+  ci_auto_approve_paths: {key: 'ciAutoApprovePaths', validate: isStringList},
+  protected_paths: {key: 'protectedPaths', validate: isStringList},
+  protected_paths_approvers: {key: 'protectedPathsApprovers', validate: isStringList},
+  ci_skip_paths: {key: 'ciSkipPaths', validate: isStringList},
+  custom_pr_label_builds: {key: 'customPrLabelBuilds', validate: isStringList},
+  merge_method: {key: 'mergeMethod', validate: isMergeMethod},
+  automerge: {key: 'automerge', validate: isBoolean},
+  automerge_label: {key: 'automergeLabel', validate: isNonEmptyString},
+  required_approvals: {key: 'requiredApprovals', validate: isNonNegativeInteger},
+  block_on_changes_requested: {key: 'blockOnChangesRequested', validate: isBoolean},
+  require_code_owner_approval: {key: 'requireCodeOwnerApproval', validate: isBoolean},
+  pipelines: {key: 'pipelines', validate: isPipelineList, normalize: normalizePipelineList},
+};
+
+const pipelineSpecKeys = [
+  'pipeline',
+  'backend',
+  'workflow',
+  'event_type',
+  'status_context',
+  'branches',
+  'label',
+  'paths',
+  'env',
+  'meta_data',
+  'cancel_superseded',
+];
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function isBoolean(value) {
+  return typeof value === 'boolean';
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(isNonEmptyString);
+}
+
+function isTeamList(value) {
+  return isStringList(value) && value.every(team => /^[^/\s]+\/[^/\s]+$/.test(team));
+}
+
+function isMergeMethod(value) {
+  return MERGE_METHODS.includes(value);
+}
+
+function isStringMap(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    Object.values(value).every(v => ['string', 'number', 'boolean'].includes(typeof v));
+}
+
+function isPipelineSpec(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return false;
+  }
+  return Object.keys(value).every(key => pipelineSpecKeys.includes(key)) &&
+    isNonEmptyString(value.pipeline) &&
+    (value.backend === undefined || isNonEmptyString(value.backend)) &&
+    (value.workflow === undefined || isNonEmptyString(value.workflow)) &&
+    (value.event_type === undefined || isNonEmptyString(value.event_type)) &&
+    (value.status_context === undefined || isNonEmptyString(value.status_context)) &&
+    (value.branches === undefined || isStringList(value.branches)) &&
+    (value.label === undefined || isNonEmptyString(value.label)) &&
+    (value.paths === undefined || isStringList(value.paths)) &&
+    (value.env === undefined || isStringMap(value.env)) &&
+    (value.meta_data === undefined || isStringMap(value.meta_data)) &&
+    (value.cancel_superseded === undefined || isBoolean(value.cancel_superseded));
+}
+
+function isPipelineList(value) {
+  return Array.isArray(value) && value.every(isPipelineSpec);
+}
+
+function normalizePipelineList(value) {
+  return value.map(spec => ({
+    pipeline: spec.pipeline,
+    backend: spec.backend || 'buildkite',
+    workflow: spec.workflow || null,
+    eventType: spec.event_type || null,
+    statusContext: spec.status_context || null,
+    branches: spec.branches || null,
+    label: spec.label || null,
+    paths: spec.paths || null,
+    env: spec.env || {},
+    metaData: spec.meta_data || {},
+    cancelSuperseded: spec.cancel_superseded !== false,
+  }));
+}
+
+function splitList(value) {
+  return value.split(',').filter(s => s.length > 0);
+}
+
+/*
+   Parse the global repo-to-pipeline map, a JSON object keyed by repo full
+   name whose values use the same format as the `pipelines` config key.
+   Throws if the map is malformed.
+ */
+export function parsePipelineMap(text) {
+  const map = text ? JSON.parse(text) : {};
+  if (typeof map !== 'object' || map === null || Array.isArray(map)) {
+    throw new Error('pipeline map must be a JSON object');
+  }
+
+  const pipelineMap = {};
+  for (const repoName of Object.keys(map)) {
+    if (!isPipelineList(map[repoName])) {
+      throw new Error(`invalid pipelines for ${repoName}: ${JSON.stringify(map[repoName])}`);
+    }
+    pipelineMap[repoName] = normalizePipelineList(map[repoName]);
+  }
+  return pipelineMap;
+}
+
+/*
+   Returns the pipelines of a repo config that apply to a pull request against
+   `baseBranch`.  Pass a `label` to select the pipelines triggered by that
+   custom label instead of the main CI pipelines.
+ */
+export function selectPipelines(config, baseBranch, label = null) {
+  return config.pipelines.filter(spec => {
+    return spec.label === label &&
+      (spec.branches === null || spec.branches.includes(baseBranch));
+  });
+}
+
+/*
+   Apply the path rules of a repo config to `pipelines` for a pull request
+   that modifies `files`.  Files matching `ciSkipPaths` never need CI, and a
+   pipeline with `paths` only runs when one of the remaining files matches.
+
+   Returns an object of the form:
+     {
+       pipelines,  // Pipelines to run
+       skipped,    // Pipelines not needed for these files
+       reason,     // Why no pipeline needs to run, or null
+     }
+ */
+export function selectPipelinesForFiles(config, pipelines, files) {
+  const skipPath = createPathMatcher(config.ciSkipPaths);
+  const relevantFiles = files.filter(file => !skipPath(file));
+  if (files.length > 0 && relevantFiles.length === 0) {
+    return {pipelines: [], skipped: pipelines, reason: 'only files matching ci_skip_paths changed'};
+  }
+
+  const selected = [];
+  const skipped = [];
+  for (const spec of pipelines) {
+    if (spec.paths === null || relevantFiles.some(createPathMatcher(spec.paths))) {
+      selected.push(spec);
+    } else {
+      skipped.push(spec);
+    }
+  }
+  const reason = selected.length === 0 ? 'no pipeline matches the changed files' : null;
+  return {pipelines: selected, skipped, reason};
+}
+
+/*
+   Build the default repo config from the global environment constants, used
+   for any repo (or key) not covered by a repo config file
+ */
+export function defaultRepoConfig(envconst, labels, pipelineMap, repoName) {
+  return {
+    ciLabel: labels.CI_LABEL,
+    nociLabel: labels.NOCI_LABEL,
+    ciForEverybody: !!envconst.CI_FOR_EVERYBODY,
+    ciUserWhitelist: splitList(envconst.CI_USER_WHITELIST),
+    ciTrustedTeams: splitList(envconst.CI_TRUSTED_TEAMS),
+    ciUserDenylist: splitList(envconst.CI_USER_DENYLIST),
+    ciAutoApprovePaths: splitList(envconst.CI_AUTO_APPROVE_PATHS),
+    protectedPaths: splitList(envconst.PROTECTED_PATHS),
+    protectedPathsApprovers: splitList(envconst.PROTECTED_PATHS_APPROVERS),
+    ciSkipPaths: splitList(envconst.CI_SKIP_PATHS),
+    customPrLabelBuilds: splitList(envconst.CUSTOM_PR_LABEL_BUILDS),
+    mergeMethod: envconst.GITHUB_MERGE_METHOD,
+    automerge: !!envconst.AUTOMERGE,
+    automergeLabel: envconst.AUTOMERGE_LABEL,
+    requiredApprovals: Number(envconst.AUTOMERGE_REQUIRED_APPROVALS),
+    blockOnChangesRequested: true,
+    requireCodeOwnerApproval: !!envconst.AUTOMERGE_REQUIRE_CODE_OWNER_APPROVAL,
+    pipelines: pipelineMap[repoName] || [],
+  };
+}
+
+/*
+   Parse and validate the contents of a repo config file.  Throws if the file
+   is malformed or contains unknown keys or invalid values.
+ */
+export function parseRepoConfig(text) {
+  const doc = yaml.safeLoad(text);
+  if (doc === undefined || doc === null) {
+    return {};
+  }
+  if (typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('top level of the config must be a mapping');
+  }
+
+  const config = {};
+  for (const name of Object.keys(doc)) {
+    const entry = schema[name];
+    if (!entry) {
+      throw new Error(`unknown key: ${name}`);
+    }
+    if (!entry.validate(doc[name])) {
+      throw new Error(`invalid value for ${name}: ${JSON.stringify(doc[name])}`);
+    }
+    config[entry.key] = entry.normalize ? entry.normalize(doc[name]) : doc[name];
+  }
+  return config;
+}
+
+// Returns whether `err` was thrown for a repo config file that is not valid
+export function isInvalidRepoConfigError(err) {
+  return err.code === 'INVALID_REPO_CONFIG';
+}
+
+/*
+   Returns an async function that resolves the config for a given repo and
+   branch by reading REPO_CONFIG_PATH from that branch.  Results are cached
+   for `cacheSeconds`.  A missing file yields the config returned by
+   `defaultsForRepo(repoName)`.
+
+   The defaults are never used in place of a file that cannot be fetched or
+   is invalid, as they may be more permissive.  The last config loaded is
+   used instead until the file is fixed, and without one the error is thrown.
+   Errors for an invalid file are recognized by isInvalidRepoConfigError().
+ */
+export function createRepoConfigLoader(githubClient, defaultsForRepo, cacheSeconds) {
+  const cache = new Map();
+  let override = null;
+
+  async function fetchRepoConfig(repoName, branch) {
+    const defaults = defaultsForRepo(repoName);
+    const repo = githubClient.repo(repoName);
+    let content;
+    try {
+      const [file] = await repo.contentsAsync(REPO_CONFIG_PATH, branch);
+      content = Buffer.from(file.content, file.encoding).toString('utf8');
+    } catch (err) {
+      if (err.statusCode !== 404) {
+        throw err;
+      }
+      log.debug(`No ${REPO_CONFIG_PATH} in ${repoName}@${branch}, using defaults`);
+      return defaults;
+    }
+
+    let parsed;
+    try {
+      parsed = parseRepoConfig(content);
+    } catch (err) {
+      const invalid = new Error(`Invalid ${REPO_CONFIG_PATH} in ${repoName}@${branch}: ${err.message}`);
+      invalid.code = 'INVALID_REPO_CONFIG';
+      throw invalid;
+    }
+    const config = Object.assign({}, defaults, parsed);
+    log.info(`Loaded ${REPO_CONFIG_PATH} from ${repoName}@${branch}`, config);
+    return config;
+  }
+
+  async function getRepoConfig(repoName, branch) {
+    if (override) {
+      return Object.assign({}, defaultsForRepo(repoName), override);
+    }
+    const cacheKey = `${repoName}@${branch}`;
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) {
+      return cached.config;
+    }
+
+    let config;
+    try {
+      config = await fetchRepoConfig(repoName, branch);
+    } catch (err) {
+      const error = isInvalidRepoConfigError(err) ? err :
+        new Error(`Failed to fetch ${REPO_CONFIG_PATH} from ${cacheKey}: ${err.message}`);
+      if (!cached) {
+        throw error;
+      }
+      // Keep the expired entry, so the next request fetches the file again
+      log.error(`${error.message}, using the last config loaded`);
+      return cached.config;
+    }
+    cache.set(cacheKey, {config, expires: Date.now() + cacheSeconds * 1000});
+    return config;
+  }
+
+  // Use the contents of a config file for every repo and branch in place of
+  // their REPO_CONFIG_PATH, such as to try out changes in a dry run.  Throws
+  // if the contents are invalid
+  getRepoConfig.override = text => {
+    override = parseRepoConfig(text);
+  };
+
+  getRepoConfig.invalidate = (repoName, branch) => {
+    // The entry is expired rather than deleted, to remain in use should the
+    // modified file be invalid
+    log.info(`Invalidating cached config for ${repoName}@${branch}`);
+    const cached = cache.get(`${repoName}@${branch}`);
+    if (cached) {
+      cached.expires = 0;
+    }
+  };
+
+  return getRepoConfig;
+}
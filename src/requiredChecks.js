@@ -0,0 +1,76 @@
+const CHECK_RUN_SUCCESS_CONCLUSIONS = ['success', 'neutral', 'skipped'];
+
+// Returns the state of a commit status: 'success', 'failure' or 'pending'
+function commitStatusState(status) {
+  switch (status.state) {
+  case 'success':
+    return 'success';
+  case 'failure':
+  case 'error':
+    return 'failure';
+  default:
+    return 'pending';
+  }
+}
+
+// Returns the state of a check run: 'success', 'failure' or 'pending'
+function checkRunState(checkRun) {
+  if (checkRun.status !== 'completed') {
+    return 'pending';
+  }
+  return CHECK_RUN_SUCCESS_CONCLUSIONS.includes(checkRun.conclusion) ? 'success' : 'failure';
+}
+
+/*
+   Evaluate a list of required check names against the commit statuses (as
+   returned by the combined status API, so latest per context) and check runs
+   of a commit.  A required check is satisfied by either a commit status with
+   that context or a check run with that name.
+
+   Returns an object of the form:
+     {
+       state,    // 'success' if all required checks passed, 'failure' if any
+                 // failed, otherwise 'pending'
+       failed,   // Names of the required checks that failed
+       pending,  // Names of the required checks that have not completed
+       missing,  // Names of the required checks that have not been reported
+     }
+ */
+export function evaluateRequiredChecks(required, statuses, checkRuns) {
+  const failed = [];
+  const pending = [];
+  const missing = [];
+
+  for (const name of required) {
+    const states = [];
+
+    const status = statuses.find(s => s.context === name);
+    if (status) {
+      states.push(commitStatusState(status));
+    }
+
+    // Only the latest run of a check counts, earlier runs have been superseded
+    const latestRun = checkRuns
+    .filter(run => run.name === name)
+    .reduce((latest, run) => (!latest || run.id > latest.id) ? run : latest, null);
+    if (latestRun) {
+      states.push(checkRunState(latestRun));
+    }
+
+    if (states.length === 0) {
+      missing.push(name);
+    } else if (states.includes('failure')) {
+      failed.push(name);
+    } else if (states.includes('pending')) {
+      pending.push(name);
+    }
+  }
+
+  let state = 'pending';
+  if (failed.length > 0) {
+    state = 'failure';
+  } else if (pending.length === 0 && missing.length === 0) {
+    state = 'success';
+  }
+  return {state, failed, pending, missing};
+}
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+// Returns the cookies of a request as an object keyed by cookie name
+export function parseCookies(header) {
+  const cookies = {};
+  for (const pair of (header || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index < 0) {
+      continue;
+    }
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (err) {
+      // Ignore cookies that are not ours and not URI encoded
+    }
+  }
+  return cookies;
+}
+
+/*
+   Returns functions to sign a JSON value into a tamper-proof token that
+   expires after `maxAgeSeconds`, and to verify such a token:
+     sign(value) -> token
+     verify(token) -> value, or null if the token is invalid or expired
+ */
+export function createTokenSigner(secret, maxAgeSeconds) {
+  function hmac(data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+  }
+
+  function sign(value) {
+    const expires = Date.now() + maxAgeSeconds * 1000;
+    const data = Buffer.from(JSON.stringify({value, expires})).toString('base64url');
+    return `${data}.${hmac(data)}`;
+  }
+
+  function verify(token) {
+    const [data, signature] = (token || '').split('.');
+    if (!data || !signature) {
+      return null;
+    }
+    const actual = Buffer.from(signature);
+    const expected = Buffer.from(hmac(data));
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+    const {value, expires} = JSON.parse(Buffer.from(data, 'base64url').toString());
+    return expires > Date.now() ? value : null;
+  }
+
+  return {sign, verify};
+}
@@ -0,0 +1,46 @@
+import createLogger from 'silk-log';
+
+const log = createLogger('teamMembership');
+
+/*
+   Returns an async function that resolves whether a user is an active member
+   of a Github team, given as `org/team-slug`.  Results, including negative
+   ones, are cached for `cacheSeconds`.  Lookup failures are not cached and
+   count as not being a member.
+
+   `githubGetAsync(apiPath)` must resolve the body of a Github API GET request.
+ */
+export function createTeamMembershipChecker(githubGetAsync, cacheSeconds) {
+  const cache = new Map();
+
+  async function fetchMembership(team, login) {
+    const [org, teamSlug] = team.split('/');
+    try {
+      const membership = await githubGetAsync(`/orgs/${org}/teams/${teamSlug}/memberships/${login}`);
+      return membership.state === 'active';
+    } catch (err) {
+      if (err.statusCode === 404) {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  return async function isTeamMember(team, login) {
+    const cacheKey = `${team.toLowerCase()}:${login.toLowerCase()}`;
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) {
+      return cached.member;
+    }
+
+    let member;
+    try {
+      member = await fetchMembership(team, login);
+    } catch (err) {
+      log.warn(`Unable to fetch ${team} membership of ${login}:`, err.message);
+      return false;
+    }
+    cache.set(cacheKey, {member, expires: Date.now() + cacheSeconds * 1000});
+    return member;
+  };
+}
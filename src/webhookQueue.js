@@ -0,0 +1,256 @@
+import fs from 'fs-extra';
+import path from 'path';
+import createLogger from 'silk-log';
+
+const log = createLogger('webhookQueue');
+
+const JOURNAL_FILE = 'journal.jsonl';
+
+// Number of journal records appended between compactions
+const COMPACT_INTERVAL = 1000;
+
+// Apply a journal record to `events`, a map of event id to event
+function applyRecord(events, record) {
+  const event = events.get(record.id);
+  switch (record.op) {
+  case 'received':
+    events.set(record.id, {
+      id: record.id,
+      name: record.name,
+      payload: record.payload,
+      state: 'pending',
+      attempts: 0,
+      lastError: null,
+      receivedAt: record.at,
+      retryAt: record.at,
+      doneAt: null,
+    });
+    break;
+  case 'failed':
+    Object.assign(event, {attempts: record.attempts, lastError: record.error, retryAt: record.retryAt});
+    break;
+  case 'dead':
+    Object.assign(event, {state: 'dead', attempts: record.attempts, lastError: record.error});
+    break;
+  case 'replayed':
+    Object.assign(event, {state: 'pending', attempts: 0, retryAt: record.at});
+    break;
+  case 'done':
+    // Compacted journals only keep the id of handled events
+    events.set(record.id, Object.assign(event || {id: record.id, name: record.name}, {
+      state: 'done',
+      payload: null,
+      doneAt: record.at,
+    }));
+    break;
+  default:
+    throw new Error(`unknown journal record: ${record.op}`);
+  }
+}
+
+// Load the events of a journal into `events`
+async function readJournal(journalPath, events) {
+  if (!await fs.pathExists(journalPath)) {
+    return;
+  }
+  const lines = (await fs.readFile(journalPath, 'utf8')).split('\n');
+  for (const [index, line] of lines.entries()) {
+    if (line.length === 0) {
+      continue;
+    }
+    try {
+      applyRecord(events, JSON.parse(line));
+    } catch (err) {
+      // The last record may be incomplete if the process died writing it
+      log.warn(`Ignoring journal record ${index + 1}:`, err.message);
+    }
+  }
+}
+
+/*
+   Opens a durable queue of webhook events, journaled to `directory` so that
+   events survive a restart.  Events are handled one at a time by
+   `handler({id, name, payload})` in the order they were received.  A failed
+   event is retried with exponential backoff starting at `retryBaseSeconds`,
+   and after `maxAttempts` failures moves to a dead letter list from which it
+   can be replayed.
+
+   Event ids are remembered for `dedupeSeconds` after the event was handled,
+   and a redelivered event with a known id is ignored.
+
+   Each event is an object of the form:
+     {
+       id,          // Delivery id
+       name,        // Event name
+       payload,     // Event payload, dropped once handled
+       state,       // 'pending', 'done' or 'dead'
+       attempts,    // Number of failed attempts
+       lastError,   // Error message of the last failed attempt
+       receivedAt,  // Time the event was received, in ms
+       retryAt,     // Time of the next attempt of a pending event, in ms
+       doneAt,      // Time the event was handled, in ms
+     }
+ */
+export async function openWebhookQueue({directory, handler, maxAttempts, retryBaseSeconds, dedupeSeconds}) {
+  const journalPath = path.join(directory, JOURNAL_FILE);
+  const events = new Map();
+  let appendedRecords = 0;
+  let writes = Promise.resolve();
+  let running = false;
+  let retryTimer = null;
+
+  // Rewrite the journal with just the current state of each event, forgetting
+  // handled events older than `dedupeSeconds`
+  async function compact() {
+    const forgetBefore = Date.now() - dedupeSeconds * 1000;
+    const records = [];
+    for (const event of events.values()) {
+      if (event.state === 'done') {
+        if (event.doneAt < forgetBefore) {
+          events.delete(event.id);
+        } else {
+          records.push({op: 'done', id: event.id, name: event.name, at: event.doneAt});
+        }
+        continue;
+      }
+      records.push({op: 'received', id: event.id, name: event.name, payload: event.payload, at: event.receivedAt});
+      if (event.attempts > 0) {
+        records.push({
+          op: event.state === 'dead' ? 'dead' : 'failed',
+          id: event.id,
+          attempts: event.attempts,
+          error: event.lastError,
+          retryAt: event.retryAt,
+        });
+      }
+    }
+
+    const tempPath = `${journalPath}.tmp`;
+    await fs.writeFile(tempPath, records.map(record => JSON.stringify(record) + '\n').join(''));
+    await fs.move(tempPath, journalPath, {overwrite: true});
+    appendedRecords = 0;
+  }
+
+  // Append a record to the journal.  Writes are serialized so the journal
+  // stays in the same order as the in-memory state
+  function append(record) {
+    writes = writes.catch(() => {}).then(async () => {
+      await fs.appendFile(journalPath, JSON.stringify(record) + '\n');
+      if (++appendedRecords >= COMPACT_INTERVAL) {
+        await compact();
+      }
+    });
+    return writes;
+  }
+
+  async function processEvent(event) {
+    try {
+      await handler({id: event.id, name: event.name, payload: event.payload});
+    } catch (err) {
+      event.attempts += 1;
+      event.lastError = err.message || String(err);
+      if (event.attempts >= maxAttempts) {
+        log.error(`Github ${event.name} event ${event.id} failed ${event.attempts} times, giving up:`, err);
+        event.state = 'dead';
+        await append({op: 'dead', id: event.id, attempts: event.attempts, error: event.lastError});
+        return;
+      }
+
+      const delaySeconds = retryBaseSeconds * 2 ** (event.attempts - 1);
+      log.warn(`Github ${event.name} event ${event.id} failed, retrying in ${delaySeconds}s:`, err);
+      event.retryAt = Date.now() + delaySeconds * 1000;
+      await append({
+        op: 'failed',
+        id: event.id,
+        attempts: event.attempts,
+        error: event.lastError,
+        retryAt: event.retryAt,
+      });
+      return;
+    }
+
+    Object.assign(event, {state: 'done', payload: null, doneAt: Date.now()});
+    await append({op: 'done', id: event.id, name: event.name, at: event.doneAt});
+  }
+
+  // Handle all events that are due, then wait for the next retry
+  async function run() {
+    if (running) {
+      return;
+    }
+    running = true;
+    clearTimeout(retryTimer);
+    try {
+      for (;;) {
+        const now = Date.now();
+        const event = [...events.values()].find(e => e.state === 'pending' && e.retryAt <= now);
+        if (!event) {
+          break;
+        }
+        await processEvent(event);
+      }
+    } catch (err) {
+      log.error('Webhook queue failed:', err);
+    } finally {
+      running = false;
+    }
+
+    const retryAts = [...events.values()].filter(e => e.state === 'pending').map(e => e.retryAt);
+    if (retryAts.length > 0) {
+      retryTimer = setTimeout(run, Math.max(0, Math.min(...retryAts) - Date.now()));
+    }
+  }
+
+  // Queue a received event.  Returns false if the event was already received
+  async function enqueue({id, name, payload}) {
+    if (events.has(id)) {
+      log.info(`Ignoring duplicate Github ${name} event ${id}`);
+      return false;
+    }
+    const record = {op: 'received', id, name, payload, at: Date.now()};
+    applyRecord(events, record);
+    await append(record);
+    run();
+    return true;
+  }
+
+  function deadLetters() {
+    return [...events.values()].filter(e => e.state === 'dead');
+  }
+
+  // Move a dead letter back to the queue.  Returns false if there is no dead
+  // letter with the id
+  async function replay(id) {
+    const event = events.get(id);
+    if (!event || event.state !== 'dead') {
+      return false;
+    }
+    const record = {op: 'replayed', id, at: Date.now()};
+    applyRecord(events, record);
+    await append(record);
+    run();
+    return true;
+  }
+
+  await fs.ensureDir(directory);
+  await readJournal(journalPath, events);
+  await compact();
+  const pending = [...events.values()].filter(e => e.state === 'pending').length;
+  log.info(`Opened webhook queue in ${directory} with ${pending} pending events`);
+  run();
+
+  return {
+    deadLetters,
+    enqueue,
+    replay,
+  };
+}
+
+// Resolves the event with delivery id `id` in the journal of a webhook queue
+// in `directory`, without opening the queue, or null if there is no such
+// event.  The payload of an event that was handled is no longer kept
+export async function readWebhookEvent(directory, id) {
+  const events = new Map();
+  await readJournal(path.join(directory, JOURNAL_FILE), events);
+  return events.get(id) || null;
+}